@@ -0,0 +1,277 @@
+// src/access.js
+// Who may call the service: API keys with daily quotas, and CORS.
+//
+// API_KEYS        comma / newline separated name:key[:dailyQuota] entries, e.g.
+//                 airtable:3f9c...e1:500, retool:77ab...90
+//                 No keys → the API is open (a warning is logged at startup).
+// API_KEYS_FILE   same list from a file (one per line, # comments)
+// API_USAGE_FILE  JSON file the usage counters are kept in across restarts
+//                 (in memory only when unset)
+// ADMIN_API_KEYS  name:key entries for /admin/* (same format, no quota), kept
+//                 apart from API_KEYS; no admin keys → /admin/* answers 404
+// ADMIN_API_KEYS_FILE  same list from a file
+// CORS_ORIGINS    allowed browser origins, comma separated; "*" wildcards a
+//                 host label (https://*.airtableblocks.com), a bare "*" allows all
+//                 (default: Airtable and Airtable blocks)
+// CORS_METHODS    allowed methods (default GET,POST)
+//
+// Clients send the key as `X-API-Key: <key>`, `Authorization: Bearer <key>` or
+// ?api_key=<key>. Quotas count scrape units per UTC day: one per /scrape,
+// /search, /bestsellers or /extract call, one per /jobs item. Requests
+// rejected for bad parameters are not charged.
+
+import { createHash, timingSafeEqual } from "node:crypto";
+import { readFileSync } from "node:fs";
+import fs from "node:fs/promises";
+import { scrapeError } from "./errors.js";
+
+/* -------------------------------- API keys -------------------------------- */
+const MIN_KEY_LENGTH = 16;
+
+// "name:key[:quota]" → { name, key, quota }; throws on malformed entries
+export function parseApiKey(raw = "") {
+  const text = String(raw).trim();
+  const [name, key, quota, ...rest] = text.split(":").map((s) => s.trim());
+  if (rest.length || !/^[A-Za-z0-9_.-]+$/.test(name || "") || !key) {
+    throw new Error(`Invalid API key entry (use name:key[:dailyQuota]): ${name || text}`);
+  }
+  if (key.length < MIN_KEY_LENGTH) throw new Error(`API key for ${name} is shorter than ${MIN_KEY_LENGTH} characters`);
+  if (quota !== undefined && quota !== "" && !/^\d+$/.test(quota)) throw new Error(`Invalid quota for API key ${name}: ${quota}`);
+  return { name, key, quota: quota ? parseInt(quota, 10) : null };
+}
+
+export function loadApiKeys({ list = process.env.API_KEYS, file = process.env.API_KEYS_FILE } = {}) {
+  const lines = [];
+  if (list) lines.push(...String(list).split(/[\n,]/));
+  if (file) lines.push(...readFileSync(file, "utf8").split("\n"));
+  const keys = [];
+  for (const line of lines) {
+    if (!line.trim() || line.trim().startsWith("#")) continue;
+    const entry = parseApiKey(line);
+    if (keys.some((k) => k.name === entry.name)) throw new Error(`Duplicate API key name: ${entry.name}`);
+    if (keys.some((k) => k.key === entry.key)) throw new Error(`API key for ${entry.name} is already used by ${keys.find((k) => k.key === entry.key).name}`);
+    keys.push(entry);
+  }
+  return keys;
+}
+
+// X-API-Key header, Bearer token, or ?api_key=
+export function requestApiKey(req) {
+  const header = req.get?.("x-api-key") || req.headers?.["x-api-key"];
+  if (header) return String(header).trim();
+  const auth = req.get?.("authorization") || req.headers?.authorization || "";
+  const bearer = String(auth).match(/^Bearer\s+(\S+)/i);
+  if (bearer) return bearer[1];
+  return req.query?.api_key ? String(req.query.api_key) : "";
+}
+
+const digest = (s) => createHash("sha256").update(String(s)).digest();
+
+// secret → the matching entry or null. Constant-time against every key, so
+// timing doesn't leak prefixes.
+function keyMatcher(entries) {
+  return (secret) => {
+    if (!secret) return null;
+    const h = digest(secret);
+    let match = null;
+    for (const e of entries) if (timingSafeEqual(h, e.hash)) match = e;
+    return match;
+  };
+}
+const utcDay = (ms) => new Date(ms).toISOString().slice(0, 10);
+
+export function createKeyring({
+  keys = loadApiKeys(),
+  usageFile = process.env.API_USAGE_FILE || "",
+  now = () => Date.now(),
+  onError = () => {}, // (message, { error }) when the usage counters can't be saved
+} = {}) {
+  let saved = {};
+  if (usageFile) {
+    try {
+      saved = JSON.parse(readFileSync(usageFile, "utf8"));
+    } catch {}
+  }
+  const entries = keys.map((k) => ({
+    name: k.name,
+    quota: k.quota,
+    hash: digest(k.key),
+    total: saved[k.name]?.total || 0,
+    day: saved[k.name]?.day || null,
+    usedToday: saved[k.name]?.usedToday || 0,
+    lastUsedAt: saved[k.name]?.lastUsedAt || null,
+  }));
+
+  const identify = keyMatcher(entries);
+
+  const rollover = (e) => {
+    const today = utcDay(now());
+    if (e.day !== today) {
+      e.day = today;
+      e.usedToday = 0;
+    }
+  };
+  const msToMidnight = () => {
+    const t = now();
+    const d = new Date(t);
+    return Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate() + 1) - t;
+  };
+
+  // Serialised write-then-rename of the counters; never more than one in flight
+  let writing = null;
+  let dirty = false;
+  function persist() {
+    if (!usageFile) return Promise.resolve();
+    dirty = true;
+    if (!writing) {
+      writing = (async () => {
+        while (dirty) {
+          dirty = false;
+          const tmp = `${usageFile}.${process.pid}.tmp`;
+          const data = Object.fromEntries(entries.map(({ name, total, day, usedToday, lastUsedAt }) => [name, { total, day, usedToday, lastUsedAt }]));
+          await fs.writeFile(tmp, JSON.stringify(data));
+          await fs.rename(tmp, usageFile);
+        }
+      })()
+        .catch((error) => onError("API usage not saved", { error }))
+        .finally(() => {
+          writing = null;
+        });
+    }
+    return writing;
+  }
+
+  // Books `units` against the key's daily quota; throws QUOTA_EXCEEDED when
+  // they don't fit (nothing is booked then)
+  function charge(entry, units = 1) {
+    rollover(entry);
+    if (entry.quota != null && entry.usedToday + units > entry.quota) {
+      throw scrapeError("QUOTA_EXCEEDED", `Daily quota of ${entry.quota} exhausted for API key ${entry.name}` +
+        (units > 1 ? ` (${units} requested, ${Math.max(0, entry.quota - entry.usedToday)} left)` : ""), {
+        retryAfterMs: msToMidnight(),
+      });
+    }
+    entry.usedToday += units;
+    entry.total += units;
+    entry.lastUsedAt = new Date(now()).toISOString();
+    persist();
+    return usage(entry);
+  }
+
+  function usage(entry) {
+    rollover(entry);
+    return {
+      name: entry.name,
+      quota: entry.quota,
+      usedToday: entry.usedToday,
+      remaining: entry.quota == null ? null : Math.max(0, entry.quota - entry.usedToday),
+      total: entry.total,
+      lastUsedAt: entry.lastUsedAt,
+      resetsAt: new Date(now() + msToMidnight()).toISOString(),
+    };
+  }
+
+  return {
+    identify,
+    charge,
+    usage,
+    stats: () => entries.map(usage),
+    flush: () => writing || Promise.resolve(),
+    get enabled() { return entries.length > 0; },
+  };
+}
+
+/*
+ * Request-level access over a keyring:
+ *   authenticate(isOpen)    middleware rejecting requests without a valid key
+ *     (401), except for paths isOpen(req) lets through; req.apiKey is the match
+ *   charge(req, res, units) books units from inside a handler, once its
+ *     parameters are valid; false when it already answered 429 QUOTA_EXCEEDED
+ * Both let everything through when no keys are configured.
+ */
+export function createAuth(keyring, { onReject }) {
+  const authenticate = (isOpen = () => false) => (req, res, next) => {
+    if (!keyring.enabled || req.method === "OPTIONS" || isOpen(req)) return next();
+    const secret = requestApiKey(req);
+    const entry = keyring.identify(secret);
+    if (!entry) {
+      res.set("WWW-Authenticate", 'Bearer realm="pageshot"');
+      return onReject(res, scrapeError("UNAUTHORIZED", secret ? "Invalid API key" : "Missing API key (X-API-Key header or api_key param)"));
+    }
+    req.apiKey = entry;
+    next();
+  };
+
+  function charge(req, res, units = 1) {
+    if (!req.apiKey) return true;
+    try {
+      const u = keyring.charge(req.apiKey, units);
+      if (u.quota != null) {
+        res.set("X-Quota-Limit", String(u.quota));
+        res.set("X-Quota-Remaining", String(u.remaining));
+      }
+      return true;
+    } catch (err) {
+      onReject(res, err);
+      return false;
+    }
+  }
+
+  return { authenticate, charge };
+}
+
+/*
+ * Express middleware for /admin/*: only ADMIN_API_KEYS get through (401
+ * without a key, 403 for any other key, tenant keys included). With no admin
+ * keys configured the admin routes don't exist (404). req.adminKey is the
+ * matched key's name.
+ */
+export function createAdminGuard({
+  keys = loadApiKeys({ list: process.env.ADMIN_API_KEYS, file: process.env.ADMIN_API_KEYS_FILE }),
+  onReject,
+}) {
+  const identify = keyMatcher(keys.map((k) => ({ name: k.name, hash: digest(k.key) })));
+  const guard = (req, res, next) => {
+    if (!keys.length) return onReject(res, scrapeError("NOT_FOUND", `Cannot ${req.method} ${req.baseUrl || ""}${req.path}`));
+    if (req.method === "OPTIONS") return next();
+    const secret = requestApiKey(req);
+    if (!secret) {
+      res.set("WWW-Authenticate", 'Bearer realm="pageshot-admin"');
+      return onReject(res, scrapeError("UNAUTHORIZED", "Missing admin API key (X-API-Key header or api_key param)"));
+    }
+    const entry = identify(secret);
+    if (!entry) return onReject(res, scrapeError("FORBIDDEN", "Admin API key required"));
+    req.adminKey = entry.name;
+    next();
+  };
+  guard.enabled = keys.length > 0;
+  return guard;
+}
+
+/* ---------------------------------- CORS ---------------------------------- */
+export const DEFAULT_CORS_ORIGINS = "https://airtable.com,https://*.airtableblocks.com";
+
+// "https://*.example.com" → RegExp, exact origins stay strings, "*" → true
+export function parseCorsOrigins(value = DEFAULT_CORS_ORIGINS) {
+  const list = String(value).split(",").map((s) => s.trim().replace(/\/+$/, "")).filter(Boolean);
+  if (list.includes("*")) return true;
+  return list.map((origin) => {
+    if (!/^https?:\/\/[^/\s]+$/i.test(origin)) throw new Error(`Invalid CORS origin: ${origin}`);
+    if (!origin.includes("*")) return origin;
+    const pattern = origin.replace(/[.+?^${}()|[\]\\]/g, "\\$&").replace(/\*/g, "[^./]+(?:\\.[^./]+)*");
+    return new RegExp(`^${pattern}$`, "i");
+  });
+}
+
+// Options for the cors() middleware
+export function corsOptions({
+  origins = process.env.CORS_ORIGINS || DEFAULT_CORS_ORIGINS,
+  methods = process.env.CORS_METHODS || "GET,POST",
+} = {}) {
+  return {
+    origin: parseCorsOrigins(origins),
+    methods: String(methods).split(",").map((m) => m.trim().toUpperCase()).filter(Boolean),
+    allowedHeaders: ["Content-Type", "Authorization", "X-API-Key"],
+    exposedHeaders: ["Retry-After", "X-Quota-Limit", "X-Quota-Remaining"],
+  };
+}
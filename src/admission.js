@@ -0,0 +1,209 @@
+// src/admission.js
+// Load shedding in front of the browser, and pacing toward Amazon.
+//
+// Admission (per HTTP request that opens a browser context):
+// ADMISSION_CONCURRENCY      requests served at once (default SCRAPE_CONCURRENCY, 2)
+// ADMISSION_QUEUE            requests allowed to wait for a slot (default 10);
+//                            past that → 429 RATE_LIMITED with Retry-After
+// ADMISSION_QUEUE_TIMEOUT_MS longest wait in the queue before a 429 (default 2 min)
+//
+// Host pacing (per navigation, shared by requests and batch jobs):
+// HOST_MIN_GAP_MS            minimum gap between navigations to one host (1500)
+// HOST_GAP_JITTER_MS         random extra on top of the gap (1500)
+// BLOCK_BACKOFF_MS           pause for a host after a CAPTCHA (default 60s,
+//                            doubled per consecutive block, max 8×)
+// BLOCK_MAX_WAIT_MS          a navigation waits out a backoff up to this long,
+//                            otherwise fails fast with RATE_LIMITED (15s)
+
+import { scrapeError } from "./errors.js";
+
+function intFromEnv(name, fallback, { min = 1 } = {}) {
+  const n = parseInt(process.env[name] || "", 10);
+  return Number.isFinite(n) && n >= min ? n : fallback;
+}
+
+const defaultSleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+/* -------------------------------- Admission ------------------------------- */
+export function createAdmission({
+  concurrency = intFromEnv("ADMISSION_CONCURRENCY", intFromEnv("SCRAPE_CONCURRENCY", 2)),
+  queueSize = intFromEnv("ADMISSION_QUEUE", 10, { min: 0 }),
+  queueTimeoutMs = intFromEnv("ADMISSION_QUEUE_TIMEOUT_MS", 2 * 60 * 1000),
+  now = () => Date.now(),
+} = {}) {
+  let active = 0;
+  const waiters = []; // { grant, reject, timer }
+  let admitted = 0;
+  let rejected = 0;
+  let avgMs = 20000; // running average of a served request, for Retry-After
+
+  // Rough time until a newcomer would get a slot
+  const retryAfterMs = () => Math.max(1000, Math.ceil((waiters.length + 1) / concurrency) * avgMs);
+
+  const limited = (message) => {
+    rejected++;
+    return scrapeError("RATE_LIMITED", message, { retryAfterMs: retryAfterMs() });
+  };
+
+  function lease() {
+    const started = now();
+    let released = false;
+    admitted++;
+    return () => {
+      if (released) return;
+      released = true;
+      avgMs = Math.round(avgMs * 0.8 + (now() - started) * 0.2);
+      const next = waiters.shift();
+      if (next) next.grant();
+      else active--;
+    };
+  }
+
+  // Resolves to a release() once a slot is free; throws RATE_LIMITED when the
+  // queue is full or the wait runs out. An aborted signal drops the waiter.
+  function acquire({ signal } = {}) {
+    if (active < concurrency) {
+      active++;
+      return Promise.resolve(lease());
+    }
+    if (waiters.length >= queueSize) {
+      return Promise.reject(limited(`Too many scrape requests (${active} running, ${waiters.length} queued)`));
+    }
+    return new Promise((resolve, reject) => {
+      const waiter = {};
+      const drop = () => {
+        const i = waiters.indexOf(waiter);
+        if (i !== -1) waiters.splice(i, 1);
+        clearTimeout(waiter.timer);
+        signal?.removeEventListener("abort", onAbort);
+      };
+      const onAbort = () => {
+        drop();
+        reject(scrapeError("INTERNAL", "Request aborted while queued"));
+      };
+      waiter.grant = () => {
+        drop();
+        resolve(lease());
+      };
+      waiter.timer = setTimeout(() => {
+        drop();
+        reject(limited(`Waited ${Math.round(queueTimeoutMs / 1000)}s for a scrape slot`));
+      }, queueTimeoutMs);
+      signal?.addEventListener("abort", onAbort, { once: true });
+      waiters.push(waiter);
+    });
+  }
+
+  // Express middleware: holds a slot until the response is finished or the
+  // client goes away; answers 429 itself via onReject
+  function middleware(onReject) {
+    return (req, res, next) => {
+      const ac = new AbortController();
+      let release = null;
+      const done = () => {
+        if (release) release();
+        else ac.abort();
+      };
+      res.once("finish", done);
+      res.once("close", done);
+      acquire({ signal: ac.signal }).then(
+        (r) => {
+          release = r;
+          if (res.writableEnded || res.destroyed) return release();
+          next();
+        },
+        (err) => {
+          if (!ac.signal.aborted) onReject(res, err);
+        }
+      );
+    };
+  }
+
+  const stats = () => ({
+    concurrency,
+    queueSize,
+    active,
+    queued: waiters.length,
+    admitted,
+    rejected,
+    avgRequestMs: avgMs,
+  });
+
+  return { acquire, middleware, stats };
+}
+
+/* ------------------------------- Host pacing ------------------------------ */
+export function createHostPacer({
+  minGapMs = intFromEnv("HOST_MIN_GAP_MS", 1500, { min: 0 }),
+  gapJitterMs = intFromEnv("HOST_GAP_JITTER_MS", 1500, { min: 0 }),
+  backoffMs = intFromEnv("BLOCK_BACKOFF_MS", 60 * 1000),
+  maxWaitMs = intFromEnv("BLOCK_MAX_WAIT_MS", 15 * 1000, { min: 0 }),
+  jitter = (base) => base, // (base, spread) → ms; index.js passes its random jitter()
+  now = () => Date.now(),
+  sleep = defaultSleep,
+} = {}) {
+  const hosts = new Map(); // host → { nextAt, blockedUntil, consecutiveBlocks, blocks, navigations }
+
+  const entryFor = (host) => {
+    let e = hosts.get(host);
+    if (!e) {
+      e = { nextAt: 0, blockedUntil: 0, consecutiveBlocks: 0, blocks: 0, navigations: 0 };
+      hosts.set(host, e);
+    }
+    return e;
+  };
+  const hostOf = (url) => {
+    try {
+      return new URL(url).hostname.toLowerCase();
+    } catch {
+      return "";
+    }
+  };
+
+  // Waits for this host's next navigation slot. Slots are reserved up front, so
+  // concurrent callers line up instead of all firing when the gap ends.
+  async function wait(url) {
+    const host = hostOf(url);
+    if (!host) return;
+    const e = entryFor(host);
+    const t = now();
+    if (e.blockedUntil - t > maxWaitMs) {
+      throw scrapeError("RATE_LIMITED", `Backing off ${host} after a CAPTCHA`, { retryAfterMs: e.blockedUntil - t });
+    }
+    const at = Math.max(t, e.nextAt, e.blockedUntil);
+    e.nextAt = at + jitter(minGapMs, gapJitterMs);
+    e.navigations++;
+    if (at > t) await sleep(at - t);
+  }
+
+  // Opens (or extends) the host's backoff window; returns its length in ms
+  function blocked(url) {
+    const host = hostOf(url);
+    if (!host) return 0;
+    const e = entryFor(host);
+    e.blocks++;
+    e.consecutiveBlocks++;
+    const ms = backoffMs * Math.min(8, 2 ** (e.consecutiveBlocks - 1));
+    e.blockedUntil = Math.max(e.blockedUntil, now() + ms);
+    return ms;
+  }
+
+  // A clean page load resets the backoff growth
+  function ok(url) {
+    const e = hosts.get(hostOf(url));
+    if (e) e.consecutiveBlocks = 0;
+  }
+
+  function stats() {
+    const t = now();
+    return Array.from(hosts, ([host, e]) => ({
+      host,
+      navigations: e.navigations,
+      blocks: e.blocks,
+      backingOff: e.blockedUntil > t,
+      backoffUntil: e.blockedUntil > t ? new Date(e.blockedUntil).toISOString() : null,
+    }));
+  }
+
+  return { wait, blocked, ok, stats };
+}
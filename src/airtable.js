@@ -0,0 +1,223 @@
+// src/airtable.js
+// Optional sink that writes scrape results into an Airtable table via the
+// REST API: update a known record, or upsert by a key field (ASIN by default).
+//
+// Requests are paced per base (Airtable allows 5 req/s) and retried on 429/5xx,
+// network errors and timeouts.
+// Image URLs become URL attachments; the base64 screenshot goes through the
+// content upload endpoint. AIRTABLE_API_URL / AIRTABLE_CONTENT_URL point the
+// client at a local mock.
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+function intFromEnv(name, fallback) {
+  const n = parseInt(process.env[name] || "", 10);
+  return Number.isFinite(n) && n >= 0 ? n : fallback;
+}
+
+// Result keys written by default, under the same field names
+export const DEFAULT_FIELD_MAP = {
+  ASIN: "ASIN",
+  url: "url",
+  title: "title",
+  brand: "brand",
+  itemForm: "itemForm",
+  price: "price",
+  priceGemini: "priceGemini",
+  featuredBullets: "featuredBullets",
+  productDescription: "productDescription",
+  mainImageUrl: "mainImageUrl",
+  reviewCount: "reviewCount",
+  rating: "rating",
+  dateFirstAvailable: "dateFirstAvailable",
+  rankingMain: "rankingMain",
+  mainCategory: "mainCategory",
+  rankingSecondary: "rankingSecondary",
+  secondaryCategory: "secondaryCategory",
+};
+
+export function loadFieldMap(raw = process.env.AIRTABLE_FIELD_MAP) {
+  if (!raw) return DEFAULT_FIELD_MAP;
+  const parsed = typeof raw === "string" ? JSON.parse(raw) : raw;
+  if (!parsed || typeof parsed !== "object" || Array.isArray(parsed)) {
+    throw new Error("AIRTABLE_FIELD_MAP must be a JSON object");
+  }
+  return parsed;
+}
+
+const getPath = (obj, path) =>
+  path.split(".").reduce((acc, key) => (acc == null ? undefined : acc[key]), obj);
+
+const isBlank = (v) =>
+  v === undefined || v === null || v === "" || v === "Unspecified" || (Array.isArray(v) && !v.length);
+
+/*
+ * Maps a result onto Airtable fields. Map values are either a field name or
+ * { field, type } with type "text" (default), "number" or "attachment".
+ * Blank/"Unspecified" values are left out so they don't clobber existing data.
+ * The screenshot (base64) is returned separately for the upload endpoint.
+ */
+export function mapFields(result, fieldMap = DEFAULT_FIELD_MAP) {
+  const fields = {};
+  const uploads = [];
+  for (const [path, spec] of Object.entries(fieldMap)) {
+    const { field, type = "text" } = typeof spec === "string" ? { field: spec } : spec || {};
+    if (!field) continue;
+    const value = getPath(result, path);
+    if (isBlank(value)) continue;
+
+    if (type === "attachment") {
+      if (path === "screenshot") {
+        const format = result.screenshotFormat || "png";
+        const ext = format === "jpeg" ? "jpg" : format;
+        uploads.push({ field, base64: value, contentType: `image/${format}`, filename: `screenshot.${ext}` });
+        continue;
+      }
+      const urls = (Array.isArray(value) ? value : [value]).filter((u) => /^https?:\/\//.test(u));
+      if (urls.length) fields[field] = urls.map((url) => ({ url }));
+    } else if (type === "number") {
+      const n = typeof value === "number" ? value : Number(String(value).replace(/[^\d.-]/g, ""));
+      if (Number.isFinite(n)) fields[field] = n;
+    } else {
+      fields[field] = Array.isArray(value) ? value.join("\n") : typeof value === "object" ? JSON.stringify(value) : String(value);
+    }
+  }
+  return { fields, uploads };
+}
+
+function airtableError(message, status = 0, body = null) {
+  const err = new Error(message);
+  err.status = status;
+  err.body = body;
+  return err;
+}
+
+export function createAirtableClient({
+  apiKey = process.env.AIRTABLE_API_KEY || process.env.AIRTABLE_TOKEN || "",
+  apiUrl = process.env.AIRTABLE_API_URL || "https://api.airtable.com",
+  contentUrl = process.env.AIRTABLE_CONTENT_URL || process.env.AIRTABLE_API_URL || "https://content.airtable.com",
+  minIntervalMs = intFromEnv("AIRTABLE_MIN_INTERVAL_MS", 220),
+  maxRetries = intFromEnv("AIRTABLE_MAX_RETRIES", 4),
+  timeoutMs = intFromEnv("AIRTABLE_TIMEOUT_MS", 30000),
+} = {}) {
+  // One promise chain per base keeps requests serialized and spaced out
+  const lanes = new Map();
+
+  const paced = (baseId, fn) => {
+    const prev = lanes.get(baseId) || Promise.resolve();
+    const run = prev.then(async () => {
+      try {
+        return await fn();
+      } finally {
+        await sleep(minIntervalMs);
+      }
+    });
+    lanes.set(baseId, run.catch(() => {}));
+    return run;
+  };
+
+  async function request(baseId, method, url, body) {
+    if (!apiKey) throw airtableError("Missing AIRTABLE_API_KEY in environment");
+    let attempt = 0;
+    for (;;) {
+      let resp;
+      let text;
+      try {
+        resp = await paced(baseId, () =>
+          fetch(url, {
+            method,
+            headers: { authorization: `Bearer ${apiKey}`, "content-type": "application/json" },
+            body: body ? JSON.stringify(body) : undefined,
+            signal: AbortSignal.timeout(timeoutMs),
+          })
+        );
+        text = await resp.text();
+      } catch (err) {
+        // Network errors and timeouts get the same backoff as a 5xx
+        const reason = err?.name === "TimeoutError" ? `timed out after ${timeoutMs}ms` : err?.cause?.message || err?.message || String(err);
+        if (attempt >= maxRetries) throw airtableError(`Airtable ${method} failed: ${reason}`);
+        await sleep(500 * 2 ** attempt);
+        attempt++;
+        continue;
+      }
+      const data = text ? (() => { try { return JSON.parse(text); } catch { return text; } })() : null;
+      if (resp.ok) return data;
+
+      const retryable = resp.status === 429 || resp.status >= 500;
+      if (!retryable || attempt >= maxRetries) {
+        const msg = data?.error?.message || data?.error?.type || data?.error || resp.statusText;
+        throw airtableError(`Airtable ${method} failed (${resp.status}): ${msg}`, resp.status, data);
+      }
+      // Airtable asks for a 30s pause after a 429; honour Retry-After when given
+      const retryAfter = parseFloat(resp.headers.get("retry-after") || "");
+      const wait = Number.isFinite(retryAfter)
+        ? retryAfter * 1000
+        : resp.status === 429 ? 30000 : 500 * 2 ** attempt;
+      attempt++;
+      await sleep(wait);
+    }
+  }
+
+  const tableUrl = (baseId, table) =>
+    `${apiUrl.replace(/\/+$/, "")}/v0/${encodeURIComponent(baseId)}/${encodeURIComponent(table)}`;
+
+  async function updateRecord(baseId, table, recordId, fields) {
+    return request(baseId, "PATCH", `${tableUrl(baseId, table)}/${encodeURIComponent(recordId)}`, {
+      fields,
+      typecast: true,
+    });
+  }
+
+  async function upsertRecord(baseId, table, mergeOn, fields) {
+    const data = await request(baseId, "PATCH", tableUrl(baseId, table), {
+      performUpsert: { fieldsToMergeOn: [mergeOn] },
+      records: [{ fields }],
+      typecast: true,
+    });
+    const record = data?.records?.[0];
+    return { ...record, created: (data?.createdRecords || []).includes(record?.id) };
+  }
+
+  async function uploadAttachment(baseId, recordId, field, { base64, contentType, filename }) {
+    const url =
+      `${contentUrl.replace(/\/+$/, "")}/v0/${encodeURIComponent(baseId)}/` +
+      `${encodeURIComponent(recordId)}/${encodeURIComponent(field)}/uploadAttachment`;
+    return request(baseId, "POST", url, { contentType, file: base64, filename });
+  }
+
+  return { updateRecord, upsertRecord, uploadAttachment };
+}
+
+/*
+ * Writes one result. `target` = { baseId, table, recordId?, upsertBy?, fieldMap? }.
+ * Resolves to { ok, recordId, created } or { ok: false, error } — never throws,
+ * so a sink failure doesn't lose the scrape.
+ */
+export async function writeResultToAirtable(client, result, target) {
+  try {
+    const { baseId, table, recordId, upsertBy = "ASIN" } = target;
+    const { fields, uploads } = mapFields(result, target.fieldMap || loadFieldMap());
+    if (!Object.keys(fields).length && !uploads.length) {
+      return { ok: false, error: "No mapped fields to write" };
+    }
+
+    let record;
+    if (recordId) {
+      record = Object.keys(fields).length
+        ? await client.updateRecord(baseId, table, recordId, fields)
+        : { id: recordId };
+    } else {
+      if (fields[upsertBy] === undefined) {
+        return { ok: false, error: `Upsert field "${upsertBy}" has no value in the mapped result` };
+      }
+      record = await client.upsertRecord(baseId, table, upsertBy, fields);
+    }
+
+    for (const upload of uploads) {
+      await client.uploadAttachment(baseId, record.id, upload.field, upload);
+    }
+    return { ok: true, recordId: record.id, created: !!record.created };
+  } catch (err) {
+    return { ok: false, error: err?.message || String(err), status: err?.status };
+  }
+}
@@ -0,0 +1,178 @@
+// src/bestsellers.js
+// Ranked category lists: Best Sellers, New Releases and Movers & Shakers.
+// Accepts a list URL or a browse node id, reads the ranked items and the
+// category breadcrumb from the left-hand browse tree.
+
+import { DEFAULT_MARKETPLACE } from "./marketplaces.js";
+import { parsePrice } from "./price.js";
+import { parseStars } from "./reviews.js";
+import { parseCount } from "./search.js";
+
+// List type → path segment
+export const LIST_TYPES = {
+  bestsellers: "bestsellers",
+  "new-releases": "new-releases",
+  "movers-and-shakers": "movers-and-shakers",
+};
+
+export const LIST_PAGES = 2; // Amazon shows 50 per page, top 100 in total
+
+// Amazon resolves the list by node id; the category segment is a hint and "-" works without one
+export const listUrl = ({ type = "bestsellers", category = "", node = "" } = {}, marketplace = DEFAULT_MARKETPLACE, pageNumber = 1) => {
+  const parts = [LIST_TYPES[type] || LIST_TYPES.bestsellers];
+  if (category || node) parts.push(category || "-");
+  if (node) parts.push(node);
+  return `https://${marketplace.host}/gp/${parts.join("/")}${pageNumber > 1 ? `/?pg=${pageNumber}` : ""}`;
+};
+
+// { type, category, node } for a list URL (/gp/bestsellers/..., /zgbs/..., /gp/new-releases/...), else null
+export function parseListUrl(u = "") {
+  let url;
+  try {
+    url = new URL(u);
+  } catch {
+    return null;
+  }
+  const segs = url.pathname.split("/").filter(Boolean);
+  const at = segs.findIndex((s) => /^(?:bestsellers|zgbs|new-releases|movers-and-shakers)$/i.test(s));
+  if (at < 0) return null;
+  // /gp/<type>/... or a slug followed by /zgbs/...; anything else (e.g. /dp/) isn't a list
+  if (at > 0 && segs[at - 1] !== "gp" && segs[at].toLowerCase() !== "zgbs") return null;
+  const raw = segs[at].toLowerCase();
+  const type = raw === "zgbs" ? "bestsellers" : raw;
+  const rest = segs.slice(at + 1).filter((s) => !/^ref=/i.test(s));
+  const node = rest.find((s) => /^\d+$/.test(s)) || url.searchParams.get("node") || "";
+  const category = rest[0] && !/^\d+$/.test(rest[0]) && rest[0] !== "-" ? rest[0] : "";
+  return { type, category, node };
+}
+
+export async function readRankingPage(page) {
+  try {
+    return await page.evaluate(() => {
+      const text = (el) => (el?.innerText || el?.textContent || "").replace(/\s+/g, " ").trim();
+
+      // Full ranked ASIN list (including items not rendered yet) from the recs data attribute
+      const recs = [];
+      for (const el of Array.from(document.querySelectorAll("[data-client-recs-list]"))) {
+        try {
+          for (const r of JSON.parse(el.getAttribute("data-client-recs-list") || "[]")) {
+            recs.push({ asin: r.id, rankText: r.metadataMap?.["render.zg.rank"] || "" });
+          }
+        } catch {}
+      }
+
+      const cards = Array.from(
+        document.querySelectorAll("#gridItemRoot, [id='gridItemRoot'], li.zg-item-immersion, .zg-grid-general-faceout")
+      );
+      const seen = new Set();
+      const items = [];
+      for (const card of cards) {
+        const root = card.closest("#gridItemRoot, li.zg-item-immersion") || card;
+        if (seen.has(root)) continue;
+        seen.add(root);
+        const asinEl = root.querySelector("[data-asin]");
+        const link = root.querySelector("a[href*='/dp/']");
+        const asin =
+          asinEl?.getAttribute("data-asin") ||
+          root.querySelector(".p13n-sc-uncoverable-faceout")?.id ||
+          (link?.getAttribute("href") || "").match(/\/dp\/([A-Z0-9]{10})/i)?.[1] ||
+          "";
+        items.push({
+          asin,
+          rankText: text(root.querySelector(".zg-bdg-text, .zg-badge-text")),
+          title:
+            text(root.querySelector("[class*='p13n-sc-css-line-clamp'], .p13n-sc-truncate-desktop-type2, .p13n-sc-truncated")) ||
+            root.querySelector("img")?.getAttribute("alt") ||
+            "",
+          priceText: text(root.querySelector(".p13n-sc-price, [class*='p13n-sc-price'], .a-color-price")),
+          ratingText: text(root.querySelector(".a-icon-alt")),
+          reviewCountText: text(root.querySelector(".a-icon-row .a-size-small, a[href*='product-reviews'] .a-size-small")),
+          percentChangeText: text(root.querySelector(".zg-percent-change, [class*='zg-percent-change']")),
+        });
+      }
+
+      // Browse tree: ancestors, then the selected node
+      const tree = Array.from(document.querySelectorAll("[role='treeitem'], #zg_browseRoot li"));
+      const breadcrumb = [];
+      for (const item of tree) {
+        const selected = item.querySelector("[class*='zg-selected'], .zg_selected");
+        const name = text(selected || item);
+        if (!name || /^any department|^alle kategorien|^toutes nos catégories|^すべてのカテゴリー/i.test(name)) continue;
+        breadcrumb.push(name);
+        if (selected) break;
+      }
+      const hasSelected = tree.some((i) => i.querySelector("[class*='zg-selected'], .zg_selected"));
+
+      return {
+        recs,
+        items,
+        heading: text(document.querySelector("#zg_banner_text, h1")),
+        breadcrumb: hasSelected ? breadcrumb : [],
+        hasNext: !!document.querySelector("ul.a-pagination li.a-last:not(.a-disabled) a"),
+      };
+    });
+  } catch {
+    return { recs: [], items: [], heading: "", breadcrumb: [], hasNext: false };
+  }
+}
+
+const rankNumber = (t = "") => {
+  const m = String(t).replace(/[.,\s]/g, "").match(/\d+/);
+  return m ? parseInt(m[0], 10) : null;
+};
+
+// Ranked items from the rendered cards, filled in with recs entries that hadn't rendered
+export function shapeRankingItems(raw, marketplace = DEFAULT_MARKETPLACE) {
+  const byAsin = new Map();
+  for (const it of raw?.items || []) {
+    if (!/^[A-Z0-9]{10}$/i.test(it.asin)) continue;
+    const asin = it.asin.toUpperCase();
+    if (byAsin.has(asin)) continue;
+    const pct = it.percentChangeText ? parseInt(it.percentChangeText.replace(/[^\d-]/g, ""), 10) : null;
+    byAsin.set(asin, {
+      rank: rankNumber(it.rankText),
+      ASIN: asin,
+      title: it.title || null,
+      url: `https://${marketplace.host}/dp/${asin}`,
+      price: it.priceText ? parsePrice(it.priceText, { currency: marketplace.currency }) : null,
+      rating: it.ratingText ? parseStars(it.ratingText) : null,
+      reviewCount: it.reviewCountText ? parseCount(it.reviewCountText) : null,
+      ...(it.percentChangeText ? { percentChange: Number.isFinite(pct) ? pct : null } : {}),
+    });
+  }
+  for (const r of raw?.recs || []) {
+    if (!/^[A-Z0-9]{10}$/i.test(r.asin || "")) continue;
+    const asin = r.asin.toUpperCase();
+    const known = byAsin.get(asin);
+    if (known) {
+      if (known.rank == null) known.rank = rankNumber(r.rankText);
+      continue;
+    }
+    byAsin.set(asin, {
+      rank: rankNumber(r.rankText),
+      ASIN: asin,
+      title: null,
+      url: `https://${marketplace.host}/dp/${asin}`,
+      price: null,
+      rating: null,
+      reviewCount: null,
+    });
+  }
+  return [...byAsin.values()].sort((a, b) => (a.rank ?? Infinity) - (b.rank ?? Infinity));
+}
+
+/*
+ * → { name, node, breadcrumb: [top … selected], path: "A > B > C" }
+ * breadcrumb[0] is the department, the same string product scrapes report
+ * as mainCategory; name falls back to the page heading without its prefix.
+ */
+export function shapeCategory(raw, { node = "" } = {}) {
+  const breadcrumb = (raw?.breadcrumb || []).filter(Boolean);
+  const heading = (raw?.heading || "").replace(/^(?:best sellers|new releases|movers (?:&|and) shakers|bestseller|meilleures ventes|nouveautés|売れ筋ランキング|新着ランキング)\s*(?:in|en|:|-|–)?\s*/i, "");
+  return {
+    name: breadcrumb[breadcrumb.length - 1] || heading || null,
+    node: node || null,
+    breadcrumb,
+    path: breadcrumb.join(" > ") || null,
+  };
+}
@@ -0,0 +1,198 @@
+// src/browserPool.js
+// Long-lived Chromium processes shared across requests.
+//
+// Each lease hands out a connected browser; callers open (and close) their own
+// isolated context on it. Browsers are recycled after `maxUses` leases or as
+// soon as they disconnect, and `concurrency` caps the number of open leases.
+
+import { chromium } from "playwright";
+
+export const LAUNCH_ARGS = [
+  "--no-sandbox",
+  "--disable-setuid-sandbox",
+  "--disable-blink-features=AutomationControlled",
+  "--disable-dev-shm-usage",
+  "--disable-gpu",
+];
+
+function intFromEnv(name, fallback) {
+  const n = parseInt(process.env[name] || "", 10);
+  return Number.isFinite(n) && n > 0 ? n : fallback;
+}
+
+/* -------------------------------- Semaphore ------------------------------- */
+function createSemaphore(limit) {
+  let active = 0;
+  const waiters = [];
+  return {
+    async take() {
+      if (active < limit) {
+        active++;
+        return;
+      }
+      await new Promise((resolve) => waiters.push(resolve));
+    },
+    give() {
+      const next = waiters.shift();
+      if (next) next();
+      else active--;
+    },
+    get active() { return active; },
+    get waiting() { return waiters.length; },
+  };
+}
+
+/* ---------------------------------- Pool ---------------------------------- */
+export function createBrowserPool({
+  size = intFromEnv("BROWSER_POOL_SIZE", 1),
+  maxUses = intFromEnv("BROWSER_MAX_USES", 50),
+  concurrency = intFromEnv("SCRAPE_CONCURRENCY", 2),
+  launch = () => chromium.launch({
+    headless: true,
+    args: LAUNCH_ARGS,
+    // For hosts without Playwright's bundled browser (e.g. a system Chromium)
+    executablePath: process.env.CHROMIUM_EXECUTABLE_PATH || undefined,
+  }),
+} = {}) {
+  const slots = createSemaphore(concurrency);
+  const entries = []; // browsers currently accepting new leases
+  let closing = false;
+  let launched = 0;
+  let recycled = 0;
+
+  // Close a retired browser once its last lease is returned
+  const reap = (entry) => {
+    if (!entry.retired || entry.active > 0 || !entry.browser || entry.closed) return;
+    entry.closed = true;
+    recycled++;
+    entry.browser.close().catch(() => {});
+  };
+
+  const retire = (entry) => {
+    const i = entries.indexOf(entry);
+    if (i !== -1) entries.splice(i, 1);
+    entry.retired = true;
+    reap(entry);
+  };
+
+  const spawn = () => {
+    const entry = { browser: null, ready: null, uses: 0, active: 0, retired: false, closed: false };
+    entry.ready = launch().then(
+      (browser) => {
+        launched++;
+        entry.browser = browser;
+        browser.on("disconnected", () => retire(entry));
+        reap(entry);
+        return browser;
+      },
+      (err) => {
+        retire(entry);
+        throw err;
+      }
+    );
+    entries.push(entry);
+    return entry;
+  };
+
+  const pick = () => {
+    if (entries.length < size) return spawn();
+    return entries.reduce((a, b) => (b.active < a.active ? b : a));
+  };
+
+  async function acquire() {
+    if (closing) throw new Error("Browser pool is shutting down");
+    await slots.take();
+    let entry;
+    try {
+      if (closing) throw new Error("Browser pool is shutting down");
+      entry = pick();
+      entry.active++;
+      entry.uses++;
+      if (entry.uses >= maxUses) retire(entry);
+      const browser = await entry.ready;
+      if (!browser.isConnected()) throw new Error("Browser disconnected before use");
+      let released = false;
+      return {
+        browser,
+        release() {
+          if (released) return;
+          released = true;
+          entry.active--;
+          if (!browser.isConnected()) retire(entry);
+          else reap(entry);
+          slots.give();
+        },
+      };
+    } catch (err) {
+      if (entry) {
+        entry.active--;
+        retire(entry);
+      }
+      slots.give();
+      throw err;
+    }
+  }
+
+  // Launch browsers ahead of the first request so it doesn't pay the cold start
+  async function warm() {
+    while (entries.length < size) spawn();
+    await Promise.all(entries.map((e) => e.ready));
+  }
+
+  // Health check: opens and closes a throwaway page on a pooled browser
+  // (launching one if needed) without taking a scrape slot
+  async function probe({ timeout = 15000 } = {}) {
+    if (closing) throw new Error("Browser pool is shutting down");
+    const entry = entries.find((e) => e.browser?.isConnected()) || entries[0] || spawn();
+    let timer;
+    const expired = new Promise((_, reject) => {
+      timer = setTimeout(() => reject(new Error(`Browser probe timed out after ${timeout}ms`)), timeout);
+    });
+    try {
+      await Promise.race([
+        (async () => {
+          const browser = await entry.ready;
+          const context = await browser.newContext();
+          try {
+            const page = await context.newPage();
+            await page.setContent("<title>ok</title>");
+            if ((await page.title()) !== "ok") throw new Error("Browser probe page did not render");
+          } finally {
+            await context.close().catch(() => {});
+          }
+        })(),
+        expired,
+      ]);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  async function close() {
+    closing = true;
+    const all = entries.splice(0);
+    await Promise.all(
+      all.map(async (e) => {
+        e.retired = true;
+        e.closed = true;
+        const browser = await e.ready.catch(() => null);
+        await browser?.close().catch(() => {});
+      })
+    );
+  }
+
+  function stats() {
+    return {
+      size,
+      maxUses,
+      concurrency,
+      browsers: entries.length,
+      activeLeases: slots.active,
+      waiting: slots.waiting,
+      launched,
+      recycled,
+    };
+  }
+
+  return { acquire, warm, probe, close, stats };
+}
@@ -0,0 +1,115 @@
+// src/cache.js
+// Scrape result cache keyed by marketplace + ASIN, so the same product pulled
+// from several Airtable views within the TTL costs one browser session and one
+// OCR call. Backends share an async { get, set, delete } shape:
+//
+//   memory  in-process Map, bounded by RESULT_CACHE_MAX_ENTRIES (default)
+//   file    one JSON file per key under RESULT_CACHE_DIR; survives restarts
+//   none    caching off
+
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+
+function intFromEnv(name, fallback) {
+  const n = parseInt(process.env[name] || "", 10);
+  return Number.isFinite(n) && n >= 0 ? n : fallback;
+}
+
+export function createMemoryStore({ maxEntries = intFromEnv("RESULT_CACHE_MAX_ENTRIES", 200) } = {}) {
+  const map = new Map();
+  return {
+    name: "memory",
+    async get(key) {
+      return map.get(key);
+    },
+    async set(key, entry) {
+      map.delete(key);
+      map.set(key, entry);
+      // Oldest write goes first
+      while (map.size > maxEntries) map.delete(map.keys().next().value);
+    },
+    async delete(key) {
+      map.delete(key);
+    },
+  };
+}
+
+export function createFileStore({
+  dir = process.env.RESULT_CACHE_DIR || path.join(os.tmpdir(), "pageshot-cache"),
+} = {}) {
+  const fileFor = (key) => path.join(dir, `${key.replace(/[^A-Za-z0-9_-]/g, "_")}.json`);
+  return {
+    name: "file",
+    async get(key) {
+      try {
+        return JSON.parse(await fs.readFile(fileFor(key), "utf8"));
+      } catch {
+        return undefined;
+      }
+    },
+    async set(key, entry) {
+      await fs.mkdir(dir, { recursive: true });
+      // Write-then-rename so a crash never leaves half a file behind
+      const file = fileFor(key);
+      const tmp = `${file}.${process.pid}.tmp`;
+      await fs.writeFile(tmp, JSON.stringify(entry));
+      await fs.rename(tmp, file);
+    },
+    async delete(key) {
+      await fs.unlink(fileFor(key)).catch(() => {});
+    },
+  };
+}
+
+export function createStore(name = process.env.RESULT_CACHE || "memory") {
+  switch (String(name).toLowerCase()) {
+    case "memory":
+      return createMemoryStore();
+    case "file":
+      return createFileStore();
+    case "none":
+    case "off":
+      return null;
+    default:
+      throw new Error(`Unknown RESULT_CACHE backend: ${name} (use memory, file or none)`);
+  }
+}
+
+export const cacheKey = (marketplaceId, asin) => `${marketplaceId}:${asin}`.toUpperCase();
+
+/*
+ * createResultCache({ store, ttlMs }) → { get, set, enabled, ttlMs }
+ *
+ * `variant` pins an entry to the request options that shaped it (screenshot
+ * settings); a lookup with a different variant is a miss. Entries are stored
+ * and returned as copies, so callers can mutate what they get back.
+ */
+export function createResultCache({
+  store = createStore(),
+  ttlMs = intFromEnv("RESULT_CACHE_TTL_MS", 6 * 60 * 60 * 1000),
+  now = () => Date.now(),
+} = {}) {
+  const enabled = !!store && ttlMs > 0;
+
+  async function get(key, variant = "") {
+    if (!enabled) return null;
+    const entry = await store.get(key).catch(() => undefined);
+    if (!entry) return null;
+    if (now() - entry.cachedAt > ttlMs) {
+      await store.delete(key).catch(() => {});
+      return null;
+    }
+    if (entry.variant !== variant) return null;
+    return { result: structuredClone(entry.result), cachedAt: entry.cachedAt };
+  }
+
+  async function set(key, result, variant = "") {
+    if (!enabled) return null;
+    const cachedAt = now();
+    await store.set(key, { cachedAt, variant, result: structuredClone(result) });
+    return cachedAt;
+  }
+
+  return { get, set, enabled, ttlMs, backend: store?.name || "none" };
+}
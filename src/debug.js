@@ -0,0 +1,94 @@
+// src/debug.js
+// debug=1 on /scrape: an ordered log of the steps and recovery branches a scrape
+// took (with the page URL and time of each), plus a Playwright trace and a HAR
+// of the run. Both files land in DEBUG_DIR, in a folder per API key, and are
+// served at /debug/<file> to that key only until DEBUG_TTL_MS runs out (24h):
+// they hold cookies, session headers and proxy credentials.
+//
+// DEBUG_HAR_CONTENT  omit (default) | embed: whether response bodies go in the HAR
+//
+// Open a trace with `npx playwright show-trace <file>` or https://trace.playwright.dev
+
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { randomUUID } from "node:crypto";
+import { performance } from "node:perf_hooks";
+import { removeFilesOlderThan } from "./screenshots.js";
+
+export const DEBUG_DIR = process.env.DEBUG_DIR || path.join(os.tmpdir(), "pageshot-debug");
+export const DEBUG_ROUTE = "/debug";
+const HAR_CONTENT = process.env.DEBUG_HAR_CONTENT === "embed" ? "embed" : "omit";
+
+// One folder per API key name; runs without a key share "open"
+const ownerDir = (owner) => (owner ? `key-${owner}` : "open");
+
+export async function sweepDebugArtifacts(ttlMs, dir = DEBUG_DIR) {
+  let entries;
+  try {
+    entries = await fs.readdir(dir, { withFileTypes: true });
+  } catch {
+    return 0;
+  }
+  let removed = 0;
+  for (const e of entries) if (e.isDirectory()) removed += await removeFilesOlderThan(path.join(dir, e.name), ttlMs);
+  return removed;
+}
+
+// Where `owner`'s artifact `file` would be; null for names we never write
+export function debugArtifactPath(owner, file, dir = DEBUG_DIR) {
+  if (!/^[\w-]+\.(?:trace\.zip|har)$/.test(String(file))) return null;
+  return path.join(dir, ownerDir(owner), file);
+}
+
+// Ordered { step, atMs, url, ...fields } entries; atMs counts from the start of the run
+export function createStepLog({ clock = () => performance.now() } = {}) {
+  const started = clock();
+  const entries = [];
+  function add(step, fields = {}) {
+    const entry = { step, atMs: Math.round(clock() - started) };
+    for (const [k, v] of Object.entries(fields)) if (v !== undefined) entry[k] = v;
+    entries.push(entry);
+    return entry;
+  }
+  return { add, toJSON: () => entries.slice() };
+}
+
+/*
+ * One debug run for `owner` (the API key's name): its step log and where its
+ * trace / HAR go. contextOptions
+ * start the HAR recording (written when the context closes); the trace is
+ * started and stopped around the scrape by the caller.
+ */
+export function createDebugSession({ id = randomUUID(), owner = null, dir = DEBUG_DIR, route = DEBUG_ROUTE, clock } = {}) {
+  const file = (ext) => ({ path: debugArtifactPath(owner, `${id}.${ext}`, dir), url: `${route}/${id}.${ext}` });
+  const trace = file("trace.zip");
+  const har = file("har");
+  return {
+    id,
+    steps: createStepLog({ clock }),
+    trace,
+    har,
+    contextOptions: { recordHar: { path: har.path, content: HAR_CONTENT } },
+    prepare: () => fs.mkdir(path.dirname(trace.path), { recursive: true }),
+  };
+}
+
+// { id, steps, timings, trace, har } for the response; links only for files
+// that were actually written (a run that failed before the browser opened has none)
+export async function debugReport(session, { baseUrl = "", timings } = {}) {
+  const link = async (f) => {
+    try {
+      return (await fs.stat(f.path)).size > 0 ? baseUrl + f.url : null;
+    } catch {
+      return null;
+    }
+  };
+  return {
+    id: session.id,
+    steps: session.steps.toJSON(),
+    ...(timings ? { timings } : {}),
+    trace: await link(session.trace),
+    har: await link(session.har),
+  };
+}
@@ -0,0 +1,117 @@
+// src/details.js
+// Product details as one label → value map, merged from the three places a DP
+// page lists attributes:
+//
+//   overview   the po-* table under the title (#productOverview_feature_div)
+//   bullets    #detailBullets_feature_div ("Label ‏ : ‎ value" list items)
+//   table      #prodDetails tech-spec / additional-info tables
+//
+// Earlier sources win when a label repeats. itemForm, dateFirstAvailable and
+// releaseDate are read back out of the map with the marketplace's labels.
+
+import { DEFAULT_MARKETPLACE } from "./marketplaces.js";
+
+// Raw { label, value, source } rows in source order
+export async function readDetailRows(page, marketplace = DEFAULT_MARKETPLACE) {
+  try {
+    return await page.evaluate((bsrLabel) => {
+      const BSR_RE = new RegExp(bsrLabel, "i");
+      const text = (el) => (el?.innerText || el?.textContent || "").replace(/\s+/g, " ").trim();
+      const rows = [];
+      const seen = new Set();
+
+      // Only the overview's own rows: other a-normal tables (comparison widgets,
+      // A+ content, size charts) describe other products
+      const overview = document.querySelectorAll("#productOverview_feature_div tr, tr[class*='po-']");
+      for (const tr of Array.from(overview)) {
+        if (seen.has(tr)) continue;
+        seen.add(tr);
+        const tds = tr.querySelectorAll("td");
+        if (tds.length >= 2) rows.push({ label: text(tds[0]), value: text(tds[1]), source: "overview" });
+      }
+
+      const bullets = document.querySelectorAll(
+        "#detailBullets_feature_div li, #detailBulletsWrapper_feature_div li"
+      );
+      for (const li of Array.from(bullets)) {
+        // Nested lists (rank sub-categories) belong to their parent item
+        if (li.parentElement?.closest("li")) continue;
+        const bold = li.querySelector("span.a-text-bold");
+        if (!bold) continue;
+        const label = text(bold);
+        if (BSR_RE.test(label)) continue; // parsed separately into the rank fields
+        const clone = (li.querySelector("span.a-list-item") || li).cloneNode(true);
+        clone.querySelector("span.a-text-bold")?.remove();
+        rows.push({ label, value: text(clone), source: "bullets" });
+      }
+
+      const table = document.querySelectorAll(
+        "#prodDetails tr, #productDetails_techSpec_section_1 tr, #productDetails_detailBullets_sections1 tr, .prodDetTable tr"
+      );
+      for (const tr of Array.from(table)) {
+        if (seen.has(tr)) continue;
+        seen.add(tr);
+        const th = tr.querySelector("th");
+        const td = tr.querySelector("td");
+        if (!th || !td) continue;
+        const label = text(th);
+        if (BSR_RE.test(label)) continue;
+        rows.push({ label, value: text(td), source: "table" });
+      }
+      return rows;
+    }, marketplace.labels.bestSellersRank);
+  } catch {
+    return [];
+  }
+}
+
+// "Date First Available ‏ : ‎" → "Date First Available"
+export const cleanLabel = (label = "") =>
+  String(label)
+    .replace(/[\u200e\u200f\u202a-\u202e]/g, "")
+    .replace(/\s+/g, " ")
+    .replace(/[\s:：]+$/, "")
+    .trim();
+
+export const cleanValue = (value = "") =>
+  String(value)
+    .replace(/[\u200e\u200f\u202a-\u202e]/g, "")
+    .replace(/^[\s:：]+/, "")
+    .replace(/\s+/g, " ")
+    .trim();
+
+// Label → value, first occurrence wins (labels compared case-insensitively)
+export function buildDetails(rows = []) {
+  const details = {};
+  const keys = new Set();
+  for (const row of rows) {
+    const label = cleanLabel(row.label);
+    const value = cleanValue(row.value);
+    if (!label || !value || label.length > 80) continue;
+    const key = label.toLowerCase();
+    if (keys.has(key)) continue;
+    keys.add(key);
+    details[label] = value;
+  }
+  return details;
+}
+
+// First value whose label matches the regex source
+export function detailValue(details = {}, labelSource) {
+  const re = new RegExp(labelSource, "i");
+  for (const [label, value] of Object.entries(details)) {
+    if (re.test(label)) return value;
+  }
+  return "";
+}
+
+// The legacy fields, now read out of the details map
+export function deriveDetailFields(details = {}, labels = DEFAULT_MARKETPLACE.labels) {
+  const dateIn = (v) => (v.match(new RegExp(labels.date, "i")) || [""])[0];
+  const released = detailValue(details, labels.releaseDate);
+  return {
+    itemForm: detailValue(details, labels.itemForm),
+    dateFirstAvailable: dateIn(detailValue(details, labels.dateFirstAvailable)),
+    releaseDate: released ? dateIn(released) || released : "",
+  };
+}
@@ -0,0 +1,86 @@
+// src/errors.js
+// Machine-readable failure reasons. Every scrape failure carries a `code`, the
+// HTTP status it is answered with, and whether retrying the same request later
+// can help. Errors stay plain Error objects with those properties attached.
+//
+//   INVALID_URL       400  no   url missing, malformed, or not an Amazon marketplace
+//   INVALID_REQUEST   400  no   any other bad parameter
+//   UNAUTHORIZED      401  no   API key missing or unknown
+//   FORBIDDEN         403  no   a valid API key, but not an admin key (/admin/*)
+//   RATE_LIMITED      429  yes  scrape queue full, or the host is backing off after a CAPTCHA
+//   QUOTA_EXCEEDED    429  yes  the API key's daily quota is used up (retry after UTC midnight)
+//   PAYLOAD_TOO_LARGE 413  no   request body over the endpoint's limit
+//   NOT_FOUND         404  no   Amazon's "dog page" / HTTP 404 for the URL (or an unknown job / ASIN history)
+//   BLOCKED_CAPTCHA   503  yes  robot check / CAPTCHA page
+//   NAV_TIMEOUT       504  yes  navigation or page-load timeout, network errors
+//   BROWSER_CRASH     503  yes  page, context or browser closed underneath us, or Chromium won't launch
+//   SCREENSHOT_FAILED 502  yes  capture failed on a live page
+//   LOCATION_FAILED   502  yes  the delivery-location widget couldn't be driven
+//   OCR_FAILED        502  yes  OCR provider error (no for 4xx other than 429)
+//   INTERNAL          500  no   anything unclassified
+//
+// An error with retryAfterMs is answered with a Retry-After header.
+
+export const ERROR_CODES = {
+  INVALID_URL: { status: 400, retryable: false },
+  INVALID_REQUEST: { status: 400, retryable: false },
+  UNAUTHORIZED: { status: 401, retryable: false },
+  FORBIDDEN: { status: 403, retryable: false },
+  NOT_FOUND: { status: 404, retryable: false },
+  PAYLOAD_TOO_LARGE: { status: 413, retryable: false },
+  RATE_LIMITED: { status: 429, retryable: true },
+  QUOTA_EXCEEDED: { status: 429, retryable: true },
+  BLOCKED_CAPTCHA: { status: 503, retryable: true },
+  NAV_TIMEOUT: { status: 504, retryable: true },
+  BROWSER_CRASH: { status: 503, retryable: true },
+  SCREENSHOT_FAILED: { status: 502, retryable: true },
+  LOCATION_FAILED: { status: 502, retryable: true },
+  OCR_FAILED: { status: 502, retryable: true },
+  INTERNAL: { status: 500, retryable: false },
+};
+
+export function scrapeError(code, message, { cause, retryable, ...extra } = {}) {
+  const def = ERROR_CODES[code] || ERROR_CODES.INTERNAL;
+  const err = new Error(message, cause ? { cause } : undefined);
+  err.code = ERROR_CODES[code] ? code : "INTERNAL";
+  err.status = def.status;
+  err.retryable = retryable ?? def.retryable;
+  return Object.assign(err, extra);
+}
+
+const isTyped = (err) => !!(err && ERROR_CODES[err.code] && typeof err.retryable === "boolean");
+
+// Best-effort code for errors thrown by Playwright / fetch without one. Only the
+// first line reaches the client: Playwright appends call logs and install banners.
+export function classifyError(err) {
+  if (isTyped(err)) return err;
+  const msg = (err && err.message) || String(err || "");
+  let code = "INTERNAL";
+  if (/has been closed|browser has disconnected|Browser disconnected|Target crashed|Page crashed|All pages are closed/i.test(msg)) {
+    code = "BROWSER_CRASH";
+  } else if (/browserType\.launch|Executable doesn't exist|Failed to launch/i.test(msg)) {
+    code = "BROWSER_CRASH";
+  } else if (err?.name === "TimeoutError" || /Timeout \d+ms exceeded|net::ERR_(?:TIMED_OUT|CONNECTION|NETWORK|INTERNET|PROXY)/i.test(msg)) {
+    code = "NAV_TIMEOUT";
+  } else if (/net::ERR_NAME_NOT_RESOLVED|Cannot navigate to invalid URL|Invalid URL/i.test(msg)) {
+    code = "INVALID_URL";
+  }
+  return scrapeError(code, msg.split("\n")[0].trim(), { cause: err });
+}
+
+// Response body for a failure: { ok: false, error, code, retryable }
+export function errorBody(err) {
+  const e = classifyError(err);
+  return { ok: false, error: e.message, code: e.code, retryable: e.retryable };
+}
+
+export function sendError(res, err, extra = {}) {
+  const e = classifyError(err);
+  if (e.retryAfterMs > 0) res.set("Retry-After", String(Math.ceil(e.retryAfterMs / 1000)));
+  if (res.locals) res.locals.errorCode = e.code; // for the request log
+  return res.status(e.status).json({ ...errorBody(e), ...extra });
+}
+
+// 400 for a rejected parameter
+export const badRequest = (res, message, code = "INVALID_REQUEST", extra) =>
+  sendError(res, scrapeError(code, message), extra);
@@ -0,0 +1,281 @@
+// src/extract.js
+// DOM extractors for Amazon DP pages. Everything here reads an already-loaded
+// Playwright page and never navigates, so it runs the same against a live
+// page, POST /extract HTML, or a saved fixture.
+
+import { DEFAULT_MARKETPLACE } from "./marketplaces.js";
+import { buildDetails, deriveDetailFields, readDetailRows } from "./details.js";
+import { buildOffer, readOfferRaw } from "./offers.js";
+import { buildPriceDetails } from "./price.js";
+import { buildBestSellersRanks, legacyRankFields, readRankRows } from "./ranks.js";
+import { readReviewSummary } from "./reviews.js";
+import { buildVariations, readTwister } from "./variations.js";
+
+/* ---------------------------------- URLs ---------------------------------- */
+export function extractASINFromUrl(u = "") {
+  try {
+    const url = new URL(u);
+    const path = url.pathname;
+    const m1 = path.match(/\/dp\/([A-Z0-9]{8,10})/i);
+    const m2 = path.match(/\/gp\/product\/([A-Z0-9]{8,10})/i);
+    return (m1?.[1] || m2?.[1] || "").toUpperCase() || "";
+  } catch {
+    const m1 = u.match(/\/dp\/([A-Z0-9]{8,10})/i);
+    const m2 = u.match(/\/gp\/product\/([A-Z0-9]{8,10})/i);
+    return (m1?.[1] || m2?.[1] || "").toUpperCase() || "";
+  }
+}
+export const isDpUrl = (u = "") => /\/dp\/[A-Z0-9]{8,10}/i.test(u);
+export const buildDpUrl = (asin, marketplace = DEFAULT_MARKETPLACE) =>
+  (asin ? `https://${marketplace.host}/dp/${asin}` : "");
+
+/* ------------------------------- Page checks ------------------------------ */
+export async function isProductPage(page) {
+  try {
+    return await page.evaluate(() => {
+      const url = location.href;
+      const canonical = document.querySelector('link[rel="canonical"]')?.href || "";
+      const urlFlag =
+        /\/dp\/[A-Z0-9]{8,}|\b\/gp\/product\/[A-Z0-9]{8,}/i.test(url) ||
+        /\/dp\/[A-Z0-9]{8,}|\b\/gp\/product\/[A-Z0-9]{8,}/i.test(canonical);
+
+      const hasTitle =
+        !!document.querySelector("#productTitle") ||
+        !!document.querySelector("#titleSection #title");
+      const hasByline = !!document.querySelector("#bylineInfo");
+      const hasBuyCtas =
+        !!document.querySelector("#add-to-cart-button, input#add-to-cart-button") ||
+        !!document.querySelector("#buy-now-button, input#buy-now-button");
+
+      const layoutHints = !!document.querySelector("#dp, #dp-container, #ppd, #centerCol, #leftCol");
+
+      return (urlFlag && hasTitle && layoutHints) || ((hasTitle || hasByline) && hasBuyCtas);
+    });
+  } catch {
+    return false;
+  }
+}
+
+// ASIN from the page itself (canonical link or the add-to-cart form)
+export async function pageAsin(page) {
+  try {
+    return await page.evaluate(() => {
+      const canonical = document.querySelector('link[rel="canonical"]')?.getAttribute("href") || "";
+      const m = canonical.match(/\/(?:dp|gp\/product)\/([A-Z0-9]{10})/i);
+      if (m) return m[1].toUpperCase();
+      const input = document.querySelector("input#ASIN, input[name='ASIN']")?.value || "";
+      return /^[A-Z0-9]{10}$/i.test(input) ? input.toUpperCase() : "";
+    });
+  } catch {
+    return "";
+  }
+}
+
+/* ------------------------------ Product scrape ---------------------------- */
+// Star rating from #acrPopover's title, any marketplace: "4.6 out of 5 stars",
+// "4,4 von 5 Sternen", "5つ星のうち4.4" → "4.6" / "4.4"; "" without a number
+export function parseRatingTitle(title = "") {
+  const cleaned = String(title).replace(/out of 5 stars/i, "").replace(/\s+/g, " ").trim();
+  if (!cleaned || /^\d+(?:\.\d+)?$/.test(cleaned)) return cleaned;
+  const m = cleaned.match(/うち\s*(\d+(?:[.,]\d+)?)/) || cleaned.match(/(\d+(?:[.,]\d+)?)/);
+  return m ? m[1].replace(",", ".") : cleaned;
+}
+
+
+export async function scrapeProductData(page, marketplace = DEFAULT_MARKETPLACE) {
+  const title =
+    (await page.textContent("#productTitle").catch(() => null)) ||
+    (await page.textContent("#title").catch(() => null));
+
+  return await page.evaluate((title) => {
+    /* -------- Price (ensure currency) + list/savings/unit/coupon text -------- */
+    const getPriceWithCurrency = () => {
+      const priceEl =
+        document.querySelector(".a-price .a-offscreen") ||
+        document.querySelector("#priceblock_ourprice, #priceblock_dealprice, #priceblock_saleprice");
+      let text = (priceEl?.textContent || "").trim();
+      const hasCurrency = /[\p{Sc}]|\b[A-Z]{3}\b/u.test(text);
+      if (text && !hasCurrency) {
+        const sym = document.querySelector(".a-price .a-price-symbol")?.textContent?.trim() || "";
+        if (sym) text = sym + text;
+        else {
+          const iso = document.querySelector('meta[property="og:price:currency"]')?.getAttribute("content") || "";
+          if (iso) text = iso + " " + text;
+        }
+      }
+
+      const clean = (el) => ((el?.innerText || el?.textContent || "") + "").replace(/\s+/g, " ").trim();
+      // Without a core price block these classes only match carousels of other
+      // products, so the list / savings / unit prices stay empty
+      const priceArea = document.querySelector(
+        "#corePriceDisplay_desktop_feature_div, #corePrice_desktop, #corePrice_feature_div, #apex_desktop"
+      );
+      const inPriceArea = (sel) => priceArea?.querySelector(sel) || null;
+
+      const listText = clean(
+        inPriceArea(".basisPrice .a-offscreen") ||
+        inPriceArea('.a-price.a-text-price[data-a-strike="true"] .a-offscreen') ||
+        document.querySelector("#listPrice, #priceblock_listprice, .priceBlockStrikePriceString")
+      );
+      const savingsText = clean(
+        inPriceArea(".savingsPercentage") ||
+        document.querySelector("#regularprice_savings, .priceBlockSavingsString")
+      );
+
+      // "($0.45$0.45 / Ounce)" — visible + offscreen copies; rebuild as "$0.45/Ounce"
+      const unitPriceText = (() => {
+        if (!priceArea) return "";
+        const nodes = Array.from(priceArea.querySelectorAll(".pricePerUnit, .a-size-mini, .a-size-base.a-color-secondary"));
+        for (const n of nodes) {
+          const t = clean(n);
+          if (!/\d/.test(t) || !/(?:\/|\bper\b)\s*\S/i.test(t)) continue;
+          const amount = clean(n.querySelector(".a-offscreen"));
+          const unit = t.split(/\/|\bper\b/i).pop().replace(/\)\s*$/, "").trim();
+          return amount && unit ? `${amount}/${unit}` : t;
+        }
+        return "";
+      })();
+
+      const couponText = (() => {
+        const el = document.querySelector(
+          '[id^="couponBadge"], [id^="couponText"], .couponLabelText, #vpcButton, #promoPriceBlockMessage_feature_div'
+        );
+        const t = clean(el).replace(/\s*(?:Terms|Shop items)\b.*$/i, "");
+        return /coupon|gutschein|クーポン/i.test(t) ? t : "";
+      })();
+
+      return { text: text || "", listText, savingsText, unitPriceText, couponText };
+    };
+    const { text: price, ...priceExtras } = getPriceWithCurrency();
+
+    /* -------- Featured bullets -------- */
+    const featuredBullets = (() => {
+      const items = Array.from(document.querySelectorAll("#feature-bullets ul li"))
+        .map((li) => (li.innerText || li.textContent || "").replace(/\s+/g, " ").trim())
+        .filter(Boolean)
+        .map((text) => `• ${text} `);
+      return items.length ? items.join("") : "";
+    })();
+
+    /* -------- Product Description -------- */
+    const productDescription = (() => {
+      const el = document.querySelector("#productDescription");
+      if (!el) return "";
+      return (el.innerText || el.textContent || "").replace(/\s+/g, " ").trim();
+    })();
+
+    /* -------- Rating & Review Count -------- */
+    const reviewCount = (() => {
+      const el = document.querySelector("#acrCustomerReviewText");
+      if (!el) return "";
+      const n = (el.innerText || el.textContent || "").replace(/[^\d]/g, "");
+      return n || "";
+    })();
+
+    const rating = (() => {
+      const el = document.querySelector("#acrPopover");
+      const titleAttr = el?.getAttribute("title") || "";
+      const cleaned = titleAttr.replace(/out of 5 stars/i, "").replace(/\s+/g, " ").trim();
+      return cleaned || "";
+    })();
+
+    /* -------- Main Image -------- */
+    const mainImageUrl = (() => {
+      const imgTag = document.querySelector("#landingImage") || document.querySelector("#imgTagWrapperId img");
+      if (imgTag) return imgTag.getAttribute("src") || "";
+      return "";
+    })();
+    const normalizeImageUrl = (url) => (url ? url.replace(/\._[A-Z0-9_,]+\_\.jpg/i, ".jpg") : "");
+    const normalizedMain = normalizeImageUrl((mainImageUrl || "").trim());
+
+    /* -------- Additional Images (ImageBlockATF) -------- */
+    const additionalImageUrls = (() => {
+      const scripts = Array.from(document.querySelectorAll("script"));
+      const unescapeUrl = (u) =>
+        (u || "")
+          .replace(/\\\//g, "/")
+          .replace(/\\u002B/gi, "+")
+          .replace(/&amp;/gi, "&")
+          .trim();
+      const isUseful = (u) => {
+        if (!u) return false;
+        const lower = u.toLowerCase();
+        if (!/https?:\/\/(?:m\.)?media-amazon\.com\/images\//i.test(u)) return false;
+        if (/_US40_|sprite|play-icon|overlay|360_icon|fmjpg|fmpng/i.test(lower)) return false;
+        return /\.(jpg|jpeg|png|webp)(\?|$)/i.test(u);
+      };
+      const urls = new Set();
+      for (const s of scripts) {
+        const txt = s.textContent || "";
+        if (!/register\(["']ImageBlockATF["']/.test(txt)) continue;
+        const objRe = /{\s*[^{}]*?"hiRes"\s*:\s*(?:["'](https?:[^"']+)["']|null)[\s\S]*?"large"\s*:\s*["'](https?:[^"']+)["'][\s\S]*?}/gi;
+        let m;
+        while ((m = objRe.exec(txt)) !== null) {
+          const hi = unescapeUrl(m[1] || "");
+          const lg = unescapeUrl(m[2] || "");
+          const chosen = isUseful(hi) ? hi : (isUseful(lg) ? lg : "");
+          if (chosen) urls.add(chosen.split("?")[0]);
+        }
+      }
+      return Array.from(urls).filter((u) => u !== normalizedMain);
+    })();
+
+    return {
+      title: (title || "").trim(),
+      itemForm: "", // from the details map (below)
+      price: (price || "").trim(),
+      featuredBullets: (featuredBullets || "").trim(),
+      productDescription: (productDescription || "").trim(),
+      mainImageUrl: normalizedMain || "",
+      additionalImageUrls,
+      reviewCount,
+      rating,
+      dateFirstAvailable: "",
+
+      // Rank fields (filled below)
+      rankingMain: "",
+      mainCategory: "",
+      rankingSecondary: "",
+      secondaryCategory: "",
+
+      __pricePayload: priceExtras
+    };
+  }, title).then(async (res) => {
+    // Full rank ladder; the legacy rank strings are its top-level and first sub-category entries
+    res.bestSellersRanks = buildBestSellersRanks(await readRankRows(page, marketplace), marketplace);
+    Object.assign(res, legacyRankFields(res.bestSellersRanks));
+    res.rating = parseRatingTitle(res.rating);
+    res.priceDetails = buildPriceDetails({ text: res.price, ...(res.__pricePayload || {}) }, marketplace.currency);
+    delete res.__pricePayload;
+    // Every overview / detail-bullet / prodDetails row; the legacy fields are read from it
+    res.details = buildDetails(await readDetailRows(page, marketplace));
+    const derived = deriveDetailFields(res.details, marketplace.labels);
+    res.itemForm = derived.itemForm;
+    res.dateFirstAvailable = derived.dateFirstAvailable || derived.releaseDate;
+    Object.assign(res, buildOffer(await readOfferRaw(page), marketplace));
+    // Without a buy box an unavailable listing only shows stray prices (swatches, other sellers)
+    if (res.availability.status === "unavailable" && !res.buyBox?.present) {
+      res.price = "";
+      res.priceDetails = null;
+    }
+    res.variations = buildVariations(await readTwister(page), marketplace.currency);
+    Object.assign(res, await readReviewSummary(page, marketplace));
+    return res;
+  });
+}
+
+/* ------------------------------ Offline pages ----------------------------- */
+// Serves `html` as the response for `sourceUrl` and aborts every other request,
+// so extraction runs on exactly the given markup (page scripts disabled).
+export async function loadOfflinePage(page, html, sourceUrl) {
+  let served = false;
+  await page.route("**/*", (route) => {
+    const req = route.request();
+    if (!served && req.isNavigationRequest() && req.frame() === page.mainFrame()) {
+      served = true;
+      return route.fulfill({ status: 200, contentType: "text/html; charset=utf-8", body: html });
+    }
+    return route.abort();
+  });
+  await page.goto(sourceUrl, { waitUntil: "domcontentloaded", timeout: 30000 });
+}
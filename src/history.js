@@ -0,0 +1,90 @@
+// src/history.js
+// Snapshot history: every successful product scrape appends one JSON line to
+// HISTORY_DIR/<marketplace>/<ASIN>.jsonl, so price, rank, rating and review
+// count can be charted over time. HISTORY=none turns recording off.
+
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+
+const num = (v) => {
+  if (typeof v === "number") return Number.isFinite(v) ? v : null;
+  const s = String(v ?? "").replace(/[^\d.]/g, "");
+  return s ? Number(s) : null;
+};
+
+// The tracked fields of a product result, as numbers where they have one
+export function toSnapshot(result, at = new Date()) {
+  const pd = result.priceDetails || null;
+  return {
+    at: at.toISOString(),
+    price: result.price && result.price !== "Unspecified" ? result.price : null,
+    priceAmount: pd?.amount ?? null,
+    currency: pd?.currency ?? null,
+    rankingMain: num(result.rankingMain),
+    mainCategory: result.mainCategory && result.mainCategory !== "Unspecified" ? result.mainCategory : null,
+    rating: num(result.rating),
+    reviewCount: num(result.reviewCount),
+  };
+}
+
+const change = (from, to) =>
+  from == null || to == null ? null : { from, to, change: +(to - from).toFixed(2) };
+
+/*
+ * Deltas between two snapshots. A negative rank change is an improvement
+ * (#120 → #95 is -25). Price deltas are skipped across a currency change.
+ */
+export function computeDeltas(prev, latest) {
+  if (!prev || !latest) return null;
+  const samePriceCurrency = !prev.currency || !latest.currency || prev.currency === latest.currency;
+  const price = samePriceCurrency ? change(prev.priceAmount, latest.priceAmount) : null;
+  if (price && price.from) price.percent = +((price.change / price.from) * 100).toFixed(2);
+  return {
+    from: prev.at,
+    to: latest.at,
+    price,
+    rank: change(prev.rankingMain, latest.rankingMain),
+    rating: change(prev.rating, latest.rating),
+    reviewCount: change(prev.reviewCount, latest.reviewCount),
+  };
+}
+
+export function createHistoryStore({
+  dir = process.env.HISTORY_DIR || path.join(os.tmpdir(), "pageshot-history"),
+  enabled = !/^(none|off)$/i.test(process.env.HISTORY || ""),
+} = {}) {
+  const fileFor = (marketplaceId, asin) =>
+    path.join(dir, marketplaceId.toUpperCase(), `${asin.toUpperCase().replace(/[^A-Z0-9]/g, "")}.jsonl`);
+
+  // Appends a snapshot for a product result; resolves to it (null when skipped)
+  async function record(result, at = new Date()) {
+    if (!enabled || !result?.ok || result.pageType !== "product") return null;
+    if (!result.ASIN || result.ASIN === "Unspecified" || !result.marketplace) return null;
+    const snapshot = toSnapshot(result, at);
+    const file = fileFor(result.marketplace, result.ASIN);
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.appendFile(file, JSON.stringify(snapshot) + "\n");
+    return snapshot;
+  }
+
+  // All snapshots for one product, oldest first
+  async function series(marketplaceId, asin) {
+    let text;
+    try {
+      text = await fs.readFile(fileFor(marketplaceId, asin), "utf8");
+    } catch {
+      return [];
+    }
+    const snapshots = [];
+    for (const line of text.split("\n")) {
+      if (!line.trim()) continue;
+      try {
+        snapshots.push(JSON.parse(line));
+      } catch {} // a torn last line from a crash
+    }
+    return snapshots;
+  }
+
+  return { record, series, enabled };
+}
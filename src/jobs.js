@@ -0,0 +1,157 @@
+// src/jobs.js
+// In-process batch queue behind POST /jobs and GET /jobs/:id.
+//
+// Items from every job share one FIFO queue drained by at most `concurrency`
+// workers, so a large batch can't starve the single-URL endpoint of browsers.
+// Results are recorded per item as they finish; jobs are dropped `ttlMs`
+// after completion.
+
+import { randomUUID } from "node:crypto";
+import { classifyError } from "./errors.js";
+
+function intFromEnv(name, fallback) {
+  const n = parseInt(process.env[name] || "", 10);
+  return Number.isFinite(n) && n >= 0 ? n : fallback;
+}
+
+export function createJobQueue({
+  run,
+  concurrency = intFromEnv("JOB_CONCURRENCY", 2) || 1,
+  retries = intFromEnv("JOB_ITEM_RETRIES", 1),
+  retryDelayMs = intFromEnv("JOB_RETRY_DELAY_MS", 2000),
+  ttlMs = intFromEnv("JOB_TTL_MS", 60 * 60 * 1000),
+} = {}) {
+  if (typeof run !== "function") throw new Error("createJobQueue requires a run(item) function");
+
+  const jobs = new Map();
+  const pending = []; // { job, item }
+  let running = 0;
+
+  const counts = (job) => {
+    const c = { queued: 0, running: 0, done: 0, failed: 0 };
+    for (const it of job.items) c[it.status]++;
+    return c;
+  };
+
+  const finishIfDone = (job) => {
+    if (job.items.every((it) => it.status === "done" || it.status === "failed")) {
+      job.status = "done";
+      job.finishedAt = new Date().toISOString();
+      setTimeout(() => jobs.delete(job.id), ttlMs).unref?.();
+    }
+  };
+
+  async function work({ job, item }) {
+    item.status = "running";
+    item.startedAt = item.startedAt || new Date().toISOString();
+    if (job.status === "queued") job.status = "running";
+    item.attempts++;
+    try {
+      const result = await run(item, job);
+      item.status = "done";
+      item.result = result;
+      item.error = undefined;
+      item.errorCode = undefined;
+      item.retryable = undefined;
+    } catch (err) {
+      const e = classifyError(err);
+      item.error = e.message;
+      item.errorCode = e.code;
+      item.retryable = e.retryable;
+      // Known-permanent failures (bad URL, dog page) aren't worth another attempt
+      const permanent = !e.retryable && e.code !== "INTERNAL";
+      if (!permanent && item.attempts <= job.retries) {
+        // Back of the line, so one flaky ASIN doesn't hold a worker hostage;
+        // not before a host backoff (retryAfterMs) is over
+        item.status = "queued";
+        setTimeout(() => {
+          pending.push({ job, item });
+          pump();
+        }, Math.max(retryDelayMs, e.retryAfterMs || 0)).unref?.();
+        return;
+      }
+      item.status = "failed";
+    }
+    item.finishedAt = new Date().toISOString();
+    finishIfDone(job);
+  }
+
+  function pump() {
+    while (running < concurrency && pending.length) {
+      const next = pending.shift();
+      running++;
+      work(next).finally(() => {
+        running--;
+        pump();
+      });
+    }
+  }
+
+  // `inputs` are already-validated { input, url, marketplace, ...meta } items;
+  // anything beyond the first three is kept on `item.meta` for `run`. `owner`
+  // (the submitting API key's name) is the only caller get() hands the job to.
+  function submit(inputs, { retries: jobRetries = retries, options = {}, owner = null } = {}) {
+    const job = {
+      id: randomUUID(),
+      owner,
+      status: "queued",
+      createdAt: new Date().toISOString(),
+      finishedAt: null,
+      retries: jobRetries,
+      options,
+      items: inputs.map(({ input, url, marketplace, ...meta }, index) => ({
+        index,
+        input,
+        url,
+        marketplace,
+        meta,
+        status: "queued",
+        attempts: 0,
+        startedAt: null,
+        finishedAt: null,
+        result: undefined,
+        error: undefined,
+      })),
+    };
+    jobs.set(job.id, job);
+    for (const item of job.items) pending.push({ job, item });
+    pump();
+    return job;
+  }
+
+  // Another owner's job reads as missing, so ids can't be probed across keys
+  function get(id, { owner = null } = {}) {
+    const job = jobs.get(id);
+    return job && job.owner === owner ? job : null;
+  }
+
+  // Public JSON view of a job
+  function describe(job) {
+    return {
+      id: job.id,
+      status: job.status,
+      createdAt: job.createdAt,
+      finishedAt: job.finishedAt,
+      total: job.items.length,
+      counts: counts(job),
+      items: job.items.map((it) => ({
+        index: it.index,
+        input: it.input,
+        url: it.url,
+        marketplace: it.marketplace?.id,
+        status: it.status,
+        attempts: it.attempts,
+        startedAt: it.startedAt,
+        finishedAt: it.finishedAt,
+        ...(it.result !== undefined ? { result: it.result } : {}),
+        ...(it.error !== undefined ? { error: it.error, code: it.errorCode, retryable: it.retryable } : {}),
+      })),
+    };
+  }
+
+  function stats() {
+    return { jobs: jobs.size, pending: pending.length, running, concurrency };
+  }
+
+  return { submit, get, describe, stats };
+}
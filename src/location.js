@@ -0,0 +1,206 @@
+// src/location.js
+// Delivery location ("Deliver to …") for a scrape. Price, availability and the
+// delivery promise follow it, so a request can pin one with zip= or country=.
+//
+// The address is set once through the nav location widget, then the context's
+// cookies / storage are saved to SESSION_DIR/<marketplace>-<location>.json and
+// loaded into later contexts for the same location until SESSION_TTL_MS runs
+// out (default 12h). SESSIONS=none turns the reuse off.
+
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { DEFAULT_MARKETPLACE } from "./marketplaces.js";
+import { scrapeError } from "./errors.js";
+
+function intFromEnv(name, fallback) {
+  const n = parseInt(process.env[name] || "", 10);
+  return Number.isFinite(n) && n > 0 ? n : fallback;
+}
+
+const normalizeZip = (zip) => String(zip).trim().toUpperCase().replace(/\s+/g, " ");
+
+/*
+ * { zip, country } query / body fields → { location } | { error }.
+ * zip must match the marketplace's postal format; country is an ISO 3166
+ * alpha-2 code (delivery abroad, or the home country without a postal code).
+ * No fields → { location: null }.
+ */
+export function parseLocationOptions(src = {}, marketplace = DEFAULT_MARKETPLACE) {
+  const zip = src.zip != null && src.zip !== "" ? normalizeZip(src.zip) : "";
+  const country = src.country != null && src.country !== "" ? String(src.country).trim().toUpperCase() : "";
+  if (!zip && !country) return { location: null };
+  if (zip && country && country !== marketplace.country) {
+    return { error: `zip applies to ${marketplace.country} addresses; use zip or country=${country}, not both` };
+  }
+  if (country && !/^[A-Z]{2}$/.test(country)) return { error: "country must be a two-letter ISO code" };
+  if (zip && !new RegExp(`^(?:${marketplace.postalCode})$`, "i").test(zip)) {
+    return { error: `zip is not a valid ${marketplace.id} postal code` };
+  }
+  return { location: zip ? { zip, country: marketplace.country } : { zip: null, country } };
+}
+
+// File-name safe key: "US-zip-10001", "US-country-GB"
+export const sessionKey = (marketplace, location) =>
+  `${marketplace.id}-${location.zip ? `zip-${location.zip}` : `country-${location.country}`}`.replace(/[^A-Za-z0-9_-]/g, "");
+
+export function createSessionStore({
+  dir = process.env.SESSION_DIR || path.join(os.tmpdir(), "pageshot-sessions"),
+  ttlMs = intFromEnv("SESSION_TTL_MS", 12 * 60 * 60 * 1000),
+  enabled = !/^(none|off)$/i.test(process.env.SESSIONS || ""),
+  now = () => Date.now(),
+} = {}) {
+  const fileFor = (key) => path.join(dir, `${key}.json`);
+
+  // Playwright storageState for the key, or null when missing / expired
+  async function load(key) {
+    if (!enabled) return null;
+    try {
+      const entry = JSON.parse(await fs.readFile(fileFor(key), "utf8"));
+      if (!entry?.state || now() - entry.savedAt > ttlMs) return null;
+      return entry.state;
+    } catch {
+      return null;
+    }
+  }
+
+  async function save(key, state) {
+    if (!enabled) return;
+    await fs.mkdir(dir, { recursive: true });
+    const file = fileFor(key);
+    const tmp = `${file}.${process.pid}.tmp`;
+    await fs.writeFile(tmp, JSON.stringify({ savedAt: now(), state }));
+    await fs.rename(tmp, file);
+  }
+
+  async function drop(key) {
+    await fs.unlink(fileFor(key)).catch(() => {});
+  }
+
+  return { load, save, drop, enabled, ttlMs };
+}
+
+/* ------------------------------ Location widget --------------------------- */
+const OPENER = "#nav-global-location-popover-link, #glow-ingress-block, #nav-global-location-slot a";
+const ZIP_INPUT = "#GLUXZipUpdateInput";
+const ZIP_SPLIT = "#GLUXZipUpdateInput_0"; // CA / JP: two boxes
+const ZIP_APPLY = "#GLUXZipUpdate input, #GLUXZipUpdate, [aria-labelledby='GLUXZipUpdate-announce']";
+const COUNTRY_DROPDOWN = "#GLUXCountryListDropdown, #GLUXCountryList + .a-button, span[data-action='a-dropdown-button']";
+const DONE = "#GLUXConfirmClose, button[name='glowDoneButton'], .a-popover-footer .a-button-primary input";
+
+// "Deliver to" line of the nav bar (or the DP page's delivery block)
+export async function readDeliveryLocation(page) {
+  try {
+    return await page.evaluate(() => {
+      const text = (el) => (el?.innerText || el?.textContent || "").replace(/[\u200b-\u200f]/g, "").replace(/\s+/g, " ").trim();
+      // In preference order, not document order: the slot wraps line 2
+      for (const sel of ["#glow-ingress-line2", "#contextualIngressPtLabel_deliveryShortLine", "#nav-global-location-slot"]) {
+        const t = text(document.querySelector(sel));
+        if (t) return t;
+      }
+      return "";
+    });
+  } catch {
+    return "";
+  }
+}
+
+// Region name in the storefront's language, for matching "Deliver to United Kingdom"
+const countryName = (code, locale) => {
+  try {
+    return new Intl.DisplayNames([locale, "en"], { type: "region" }).of(code) || "";
+  } catch {
+    return "";
+  }
+};
+
+/*
+ * → { text, zip, country, requested, matches }. zip is the postal code shown in
+ * the nav line; matches is whether that line reflects the requested location
+ * (null when nothing was requested or nothing could be read).
+ */
+export function shapeDeliveryLocation(text = "", marketplace = DEFAULT_MARKETPLACE, requested = null) {
+  const shown = String(text || "").trim();
+  const zipMatch = shown.match(new RegExp(`(?:^|[^\\dA-Z])(${marketplace.postalCode})(?![\\dA-Z])`, "i"));
+  const zip = zipMatch ? normalizeZip(zipMatch[1]) : null;
+  const names = [countryName(marketplace.country, marketplace.locale), countryName(marketplace.country, "en")];
+  let country = zip ? marketplace.country : null;
+  if (!country && requested?.country) {
+    const wanted = [countryName(requested.country, marketplace.locale), countryName(requested.country, "en")];
+    if (wanted.some((n) => n && shown.toLowerCase().includes(n.toLowerCase()))) country = requested.country;
+  }
+  if (!country && names.some((n) => n && shown.toLowerCase().includes(n.toLowerCase()))) country = marketplace.country;
+
+  let matches = null;
+  if (requested && shown) {
+    const plain = (z) => String(z || "").replace(/[\s-]/g, "");
+    matches = requested.zip ? plain(zip) === plain(requested.zip) : country === requested.country;
+  }
+  return { text: shown || null, zip, country, requested: requested || null, matches };
+}
+
+/*
+ * Sets the delivery address through the nav location widget on the current
+ * page (any page with the Amazon nav bar) and waits for the reload. Throws
+ * INVALID_REQUEST when Amazon rejects the postal code and LOCATION_FAILED when
+ * the widget can't be driven.
+ */
+export async function applyDeliveryLocation(page, location, { timeout = 8000 } = {}) {
+  const fail = (msg, cause) => scrapeError("LOCATION_FAILED", `Could not set delivery location: ${msg}`, { cause });
+  try {
+    await page.locator(OPENER).first().click({ timeout });
+  } catch (err) {
+    throw fail("location widget not found", err);
+  }
+  await page
+    .locator(`${ZIP_INPUT}, ${ZIP_SPLIT}, #GLUXCountryList, #GLUXCountryListDropdown`)
+    .first()
+    .waitFor({ state: "attached", timeout })
+    .catch((err) => {
+      throw fail("location popover did not open", err);
+    });
+
+  if (location.zip) {
+    const split = page.locator(ZIP_SPLIT);
+    if (await split.count()) {
+      const compact = location.zip.replace(/[\s-]/g, "");
+      const head = parseInt((await split.getAttribute("maxlength").catch(() => null)) || "3", 10) || 3;
+      await split.fill(compact.slice(0, head), { timeout });
+      await page.locator("#GLUXZipUpdateInput_1").fill(compact.slice(head), { timeout });
+    } else {
+      await page.locator(ZIP_INPUT).fill(location.zip, { timeout }).catch((err) => {
+        throw fail("postal code input not usable", err);
+      });
+    }
+    await page.locator(ZIP_APPLY).first().click({ timeout }).catch((err) => {
+      throw fail("apply button not found", err);
+    });
+    const error = page.locator("#GLUXZipError, #GLUXZipInputSection .a-alert-error").first();
+    if (await error.isVisible({ timeout: 2500 }).catch(() => false)) {
+      const msg = ((await error.innerText().catch(() => "")) || "").trim();
+      throw scrapeError("INVALID_REQUEST", `Amazon rejected zip ${location.zip}${msg ? `: ${msg}` : ""}`);
+    }
+  } else {
+    try {
+      await page.locator(COUNTRY_DROPDOWN).first().click({ timeout });
+      await page.locator(`.a-popover [data-value*='"${location.country}"'], a[data-value*='"${location.country}"']`).first().click({ timeout });
+    } catch {
+      // Hidden native <select> behind the dropdown
+      const set = await page.evaluate((code) => {
+        const sel = document.querySelector("#GLUXCountryList");
+        if (!sel || !Array.from(sel.options).some((o) => o.value === code)) return false;
+        sel.value = code;
+        sel.dispatchEvent(new Event("change", { bubbles: true }));
+        return true;
+      }, location.country).catch(() => false);
+      if (!set) throw scrapeError("INVALID_REQUEST", `Amazon does not deliver to country ${location.country} from this storefront`);
+    }
+  }
+
+  // "Continue" / "Done" closes the popover and reloads the page with the new address
+  await Promise.all([
+    page.waitForNavigation({ waitUntil: "domcontentloaded", timeout: 10000 }).catch(() => null),
+    page.locator(DONE).first().click({ timeout: 4000 }).catch(() => null),
+  ]);
+  await page.waitForTimeout(600);
+}
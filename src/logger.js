@@ -0,0 +1,115 @@
+// src/logger.js
+// Structured logs: one JSON object per line ({ time, level, msg, ...fields }),
+// info and below on stdout, warn / error on stderr.
+//
+// LOG_LEVEL   debug | info (default) | warn | error | silent
+
+import { randomUUID } from "node:crypto";
+import { performance } from "node:perf_hooks";
+
+export const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+// Errors don't survive JSON.stringify; keep what's useful
+function serializeFields(fields = {}) {
+  const out = {};
+  for (const [k, v] of Object.entries(fields)) {
+    if (v === undefined) continue;
+    out[k] = v instanceof Error ? { message: v.message, ...(v.code ? { code: v.code } : {}) } : v;
+  }
+  return out;
+}
+
+export function createLogger({
+  level = process.env.LOG_LEVEL || "info",
+  write = (line, lvl) => (LEVELS[lvl] >= LEVELS.warn ? process.stderr : process.stdout).write(line + "\n"),
+  now = () => new Date(),
+  base = {},
+} = {}) {
+  const min = LEVELS[String(level).toLowerCase()] ?? LEVELS.info;
+  const log = (lvl) => (msg, fields) => {
+    if (LEVELS[lvl] < min) return;
+    write(JSON.stringify({ time: now().toISOString(), level: lvl, msg, ...base, ...serializeFields(fields) }), lvl);
+  };
+  return {
+    debug: log("debug"),
+    info: log("info"),
+    warn: log("warn"),
+    error: log("error"),
+    child: (fields) => createLogger({ level, write, now, base: { ...base, ...fields } }),
+  };
+}
+
+/*
+ * Per-request phase timings. time(phase, fn) runs fn and adds its duration to
+ * the phase (a phase that runs twice, e.g. two navigations, accumulates);
+ * onPhase sees every single measurement.
+ */
+export function createTimings({ onPhase, clock = () => performance.now() } = {}) {
+  const phases = {};
+  const add = (phase, ms) => {
+    phases[phase] = (phases[phase] || 0) + ms;
+    onPhase?.(phase, ms);
+  };
+  async function time(phase, fn) {
+    const started = clock();
+    try {
+      return await fn();
+    } finally {
+      add(phase, clock() - started);
+    }
+  }
+  // { phase: ms } rounded to whole milliseconds
+  const toJSON = () => Object.fromEntries(Object.entries(phases).map(([k, v]) => [k, Math.round(v)]));
+  return { time, add, toJSON };
+}
+
+// Client-supplied X-Request-Id when it looks sane, else a fresh UUID
+export function requestId(incoming) {
+  const id = String(incoming || "").trim();
+  return /^[A-Za-z0-9._:-]{1,64}$/.test(id) ? id : randomUUID();
+}
+
+const REDACTED_PARAMS = new Set(["api_key"]);
+
+/*
+ * Express middleware: tags the request with req.id (echoed as X-Request-Id)
+ * and req.timings, and logs one line when the response is done. onFinish gets
+ * the same record (for metrics).
+ */
+export function requestLogger({ logger, timings = () => createTimings(), onFinish, clock = () => performance.now() }) {
+  return (req, res, next) => {
+    const started = clock();
+    req.id = requestId(req.get?.("x-request-id"));
+    req.timings = timings();
+    res.set("X-Request-Id", req.id);
+
+    let logged = false;
+    const done = () => {
+      if (logged) return;
+      logged = true;
+      const query = Object.fromEntries(
+        Object.entries(req.query || {}).map(([k, v]) => [k, REDACTED_PARAMS.has(k) ? "[redacted]" : v])
+      );
+      const timings = req.timings.toJSON();
+      const record = {
+        requestId: req.id,
+        method: req.method,
+        path: req.path,
+        route: req.route ? `${req.baseUrl || ""}${req.route.path}` : null,
+        // 499: the client went away before we answered
+        status: res.writableFinished ? res.statusCode : 499,
+        durationMs: Math.round(clock() - started),
+        ...(Object.keys(query).length ? { query } : {}),
+        ...(res.locals?.errorCode ? { code: res.locals.errorCode } : {}),
+        ...(req.apiKey ? { apiKey: req.apiKey.name } : {}),
+        ...(Object.keys(timings).length ? { timings } : {}),
+      };
+      const lvl = record.status >= 500 ? "error" : record.status >= 400 ? "warn" : "info";
+      logger[lvl]("request", record);
+      onFinish?.(record);
+    };
+    res.once("finish", done);
+    res.once("close", done);
+    next();
+  };
+}
@@ -0,0 +1,165 @@
+// src/marketplaces.js
+// Supported Amazon storefronts: hosts, locale/headers, home country and postal
+// code format (delivery location), and the label text used by the DOM
+// extractors. Label, date and postal patterns are regex *sources* so they can
+// be passed into page.evaluate() and rebuilt in the browser.
+
+const EN_MONTHS =
+  "Jan(?:uary)?|Feb(?:ruary)?|Mar(?:ch)?|Apr(?:il)?|May|Jun(?:e)?|Jul(?:y)?|Aug(?:ust)?|Sep(?:t(?:ember)?)?|Oct(?:ober)?|Nov(?:ember)?|Dec(?:ember)?";
+
+const EN_LABELS = {
+  bestSellersRank: "best\\s*sellers?\\s*rank",
+  brand: "^brand(?:\\s*name)?$",
+  dateFirstAvailable: "date\\s*first\\s*available",
+  itemForm: "item\\s*form",
+  releaseDate: "release\\s*date|date\\s*released|date\\s*of\\s*release",
+  // "#1,234 in Kitchen & Dining"
+  rankConnector: "\\s+in\\b",
+  // #availability copy; checked in this order: unavailable, stockLeft, preorder, inStock
+  unavailable: "currently\\s*unavailable|temporarily\\s*out\\s*of\\s*stock|out\\s*of\\s*stock|no\\s*longer\\s*available",
+  stockLeft: "only\\s+(\\d+)\\s+left",
+  preorder: "pre-?order|not\\s*yet\\s*released",
+  inStock: "\\bin\\s*stock\\b",
+};
+
+export const MARKETPLACES = {
+  US: {
+    id: "US",
+    host: "www.amazon.com",
+    tld: "com",
+    locale: "en-US",
+    acceptLanguage: "en-US,en;q=0.9",
+    currency: "USD",
+    country: "US",
+    postalCode: "\\d{5}(?:-\\d{4})?",
+    labels: { ...EN_LABELS, date: `\\b(?:${EN_MONTHS})\\.?\\s+\\d{1,2},\\s+\\d{4}\\b` },
+  },
+  UK: {
+    id: "UK",
+    host: "www.amazon.co.uk",
+    tld: "co.uk",
+    aliases: ["gb"],
+    locale: "en-GB",
+    acceptLanguage: "en-GB,en;q=0.9",
+    currency: "GBP",
+    country: "GB",
+    postalCode: "[A-Z]{1,2}\\d[A-Z\\d]?\\s*\\d[A-Z]{2}",
+    labels: {
+      ...EN_LABELS,
+      date: `\\b\\d{1,2}\\s+(?:${EN_MONTHS})\\.?\\s+\\d{4}\\b|\\b(?:${EN_MONTHS})\\.?\\s+\\d{1,2},\\s+\\d{4}\\b`,
+    },
+  },
+  CA: {
+    id: "CA",
+    host: "www.amazon.ca",
+    tld: "ca",
+    locale: "en-CA",
+    acceptLanguage: "en-CA,en;q=0.9,fr-CA;q=0.8",
+    currency: "CAD",
+    country: "CA",
+    postalCode: "[A-Z]\\d[A-Z]\\s*\\d[A-Z]\\d",
+    labels: { ...EN_LABELS, date: `\\b(?:${EN_MONTHS})\\.?\\s+\\d{1,2},\\s+\\d{4}\\b` },
+  },
+  DE: {
+    id: "DE",
+    host: "www.amazon.de",
+    tld: "de",
+    locale: "de-DE",
+    acceptLanguage: "de-DE,de;q=0.9,en;q=0.6",
+    currency: "EUR",
+    country: "DE",
+    postalCode: "\\d{5}",
+    labels: {
+      bestSellersRank: "amazon\\s*bestseller-?rang|bestseller-?rang|best\\s*sellers?\\s*rank",
+      dateFirstAvailable: "im\\s*angebot\\s*von\\s*amazon\\.de\\s*seit|date\\s*first\\s*available",
+      itemForm: "artikelform|produktform|form\\s*des\\s*artikels|item\\s*form",
+      brand: "^(?:marke|markenname|brand)$",
+      releaseDate: "erscheinungstermin|erscheinungsdatum|release\\s*date",
+      // "Nr. 1.234 in Küche, Haushalt & Wohnen"
+      rankConnector: "\\s+in\\b",
+      unavailable: "derzeit\\s*nicht\\s*verfügbar|nicht\\s*auf\\s*lager|currently\\s*unavailable",
+      stockLeft: "nur\\s*noch\\s*(\\d+)",
+      preorder: "vorbestell|noch\\s*nicht\\s*erschienen",
+      inStock: "auf\\s*lager|\\bin\\s*stock\\b",
+      date: "\\b\\d{1,2}\\.\\s*(?:Jan(?:uar)?|Feb(?:ruar)?|März|Mär|Apr(?:il)?|Mai|Juni?|Juli?|Aug(?:ust)?|Sep(?:t(?:ember)?)?|Okt(?:ober)?|Nov(?:ember)?|Dez(?:ember)?)\\.?\\s+\\d{4}\\b",
+    },
+  },
+  FR: {
+    id: "FR",
+    host: "www.amazon.fr",
+    tld: "fr",
+    locale: "fr-FR",
+    acceptLanguage: "fr-FR,fr;q=0.9,en;q=0.6",
+    currency: "EUR",
+    country: "FR",
+    postalCode: "\\d{5}",
+    labels: {
+      bestSellersRank: "classement\\s*des\\s*meilleures\\s*ventes|best\\s*sellers?\\s*rank",
+      dateFirstAvailable: "date\\s*de\\s*mise\\s*en\\s*ligne|disponible\\s*sur\\s*amazon\\.fr\\s*depuis|date\\s*first\\s*available",
+      itemForm: "forme\\s*(?:de\\s*l['’]article|du\\s*produit)|item\\s*form",
+      brand: "^(?:marque|nom\\s*de\\s*marque|brand)$",
+      releaseDate: "date\\s*de\\s*sortie|date\\s*de\\s*parution|release\\s*date",
+      // "1 234 en Cuisine & Maison"
+      rankConnector: "\\s+(?:en|in)\\b",
+      unavailable: "actuellement\\s*indisponible|rupture\\s*de\\s*stock|currently\\s*unavailable",
+      stockLeft: "(?:plus\\s*que|reste)\\s*(\\d+)",
+      preorder: "précommand|pas\\s*encore\\s*paru",
+      inStock: "en\\s*stock|\\bin\\s*stock\\b",
+      date: "\\b\\d{1,2}(?:er)?\\s+(?:janv(?:ier)?|févr(?:ier)?|mars|avr(?:il)?|mai|juin|juil(?:let)?|août|sept(?:embre)?|oct(?:obre)?|nov(?:embre)?|déc(?:embre)?)\\.?\\s+\\d{4}\\b",
+    },
+  },
+  JP: {
+    id: "JP",
+    host: "www.amazon.co.jp",
+    tld: "co.jp",
+    locale: "ja-JP",
+    acceptLanguage: "ja-JP,ja;q=0.9,en;q=0.6",
+    currency: "JPY",
+    country: "JP",
+    postalCode: "\\d{3}-?\\d{4}",
+    labels: {
+      bestSellersRank: "売れ筋ランキング|best\\s*sellers?\\s*rank",
+      dateFirstAvailable: "取り扱い開始日|date\\s*first\\s*available",
+      itemForm: "商品の形状|形状|item\\s*form",
+      brand: "^(?:ブランド|ブランド名|brand)$",
+      releaseDate: "発売日|release\\s*date",
+      // "- 1,234位ドラッグストア"
+      rankConnector: "\\s*位",
+      unavailable: "在庫切れ|お取り扱いできません|currently\\s*unavailable",
+      stockLeft: "残り\\s*(\\d+)",
+      preorder: "予約",
+      inStock: "在庫あり|\\bin\\s*stock\\b",
+      date: "\\b\\d{4}\\/\\d{1,2}\\/\\d{1,2}\\b",
+    },
+  },
+};
+
+export const DEFAULT_MARKETPLACE =
+  MARKETPLACES[(process.env.DEFAULT_MARKETPLACE || "US").toUpperCase()] || MARKETPLACES.US;
+
+// Accepts "UK", "gb", "co.uk", "amazon.co.uk", "www.amazon.co.uk", ...
+export function resolveMarketplace(value) {
+  if (!value) return null;
+  if (typeof value === "object" && value.id && MARKETPLACES[value.id]) return MARKETPLACES[value.id];
+  const key = String(value).trim().toLowerCase().replace(/^www\./, "").replace(/^amazon\./, "");
+  for (const mp of Object.values(MARKETPLACES)) {
+    if (key === mp.id.toLowerCase() || key === mp.tld || (mp.aliases || []).includes(key)) return mp;
+  }
+  return null;
+}
+
+// Marketplace for an Amazon URL. Returns `null` for non-Amazon hosts and
+// `undefined` for Amazon storefronts we don't support.
+export function marketplaceFromUrl(u = "") {
+  let host;
+  try {
+    host = new URL(u).hostname.toLowerCase();
+  } catch {
+    return null;
+  }
+  const m = host.match(/(?:^|\.)amazon\.([a-z.]+)$/);
+  if (!m) return null;
+  return resolveMarketplace(m[1]) || undefined;
+}
+
+export const homeUrl = (mp = DEFAULT_MARKETPLACE) => `https://${mp.host}/ref=nav_logo`;
@@ -0,0 +1,128 @@
+// src/metrics.js
+// Prometheus text-format metrics without a client library: counters,
+// histograms and callback gauges, rendered by GET /metrics.
+
+export const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 20, 30, 60, 120];
+
+const escapeLabel = (v) => String(v).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n");
+const labelText = (labels) => {
+  const parts = Object.entries(labels).map(([k, v]) => `${k}="${escapeLabel(v)}"`);
+  return parts.length ? `{${parts.join(",")}}` : "";
+};
+const num = (n) => (Number.isFinite(n) ? String(n) : n > 0 ? "+Inf" : n < 0 ? "-Inf" : "NaN");
+
+// Series key: label values in declared order
+function seriesKey(labelNames, labels = {}) {
+  return JSON.stringify(labelNames.map((l) => (labels[l] == null ? "" : String(labels[l]))));
+}
+const keyLabels = (labelNames, key) => Object.fromEntries(JSON.parse(key).map((v, i) => [labelNames[i], v]));
+
+export function createRegistry({ prefix = "" } = {}) {
+  const metrics = [];
+  const register = (m) => {
+    if (metrics.some((x) => x.name === m.name)) throw new Error(`Metric already registered: ${m.name}`);
+    metrics.push(m);
+    return m;
+  };
+
+  function counter(name, help, labelNames = []) {
+    const series = new Map();
+    return register({
+      name: prefix + name,
+      help,
+      type: "counter",
+      inc(labels = {}, n = 1) {
+        const k = seriesKey(labelNames, labels);
+        series.set(k, (series.get(k) || 0) + n);
+      },
+      // One series, or the sum over all series matching `labels`
+      value(labels = {}) {
+        let sum = 0;
+        for (const [k, v] of series) {
+          const l = keyLabels(labelNames, k);
+          if (Object.entries(labels).every(([name, want]) => l[name] === String(want))) sum += v;
+        }
+        return sum;
+      },
+      lines() {
+        return Array.from(series, ([k, v]) => `${this.name}${labelText(keyLabels(labelNames, k))} ${num(v)}`);
+      },
+    });
+  }
+
+  function histogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+    const series = new Map(); // key → { counts[], sum, count }
+    return register({
+      name: prefix + name,
+      help,
+      type: "histogram",
+      observe(labels = {}, value) {
+        const k = seriesKey(labelNames, labels);
+        let s = series.get(k);
+        if (!s) series.set(k, (s = { counts: buckets.map(() => 0), sum: 0, count: 0 }));
+        buckets.forEach((b, i) => { if (value <= b) s.counts[i]++; });
+        s.sum += value;
+        s.count++;
+      },
+      lines() {
+        const out = [];
+        for (const [k, s] of series) {
+          const labels = keyLabels(labelNames, k);
+          buckets.forEach((b, i) => out.push(`${this.name}_bucket${labelText({ ...labels, le: num(b) })} ${s.counts[i]}`));
+          out.push(`${this.name}_bucket${labelText({ ...labels, le: "+Inf" })} ${s.count}`);
+          out.push(`${this.name}_sum${labelText(labels)} ${num(Math.round(s.sum * 1e6) / 1e6)}`);
+          out.push(`${this.name}_count${labelText(labels)} ${s.count}`);
+        }
+        return out;
+      },
+    });
+  }
+
+  // collect() → number, or [{ labels, value }] for several series; read at render time
+  function gauge(name, help, collect) {
+    return register({
+      name: prefix + name,
+      help,
+      type: "gauge",
+      lines() {
+        let values;
+        try {
+          values = collect();
+        } catch {
+          return [];
+        }
+        if (values == null) return [];
+        if (!Array.isArray(values)) values = [{ labels: {}, value: values }];
+        return values.map(({ labels = {}, value }) => `${this.name}${labelText(labels)} ${num(Number(value))}`);
+      },
+    });
+  }
+
+  function render() {
+    const out = [];
+    for (const m of metrics) {
+      out.push(`# HELP ${m.name} ${m.help.replace(/\n/g, " ")}`, `# TYPE ${m.name} ${m.type}`, ...m.lines());
+    }
+    return out.join("\n") + "\n";
+  }
+
+  return { counter, histogram, gauge, render, contentType: "text/plain; version=0.0.4; charset=utf-8" };
+}
+
+/*
+ * The scraper's own metrics. Gauges over live state (admission queue, browser
+ * pool, proxies) are added by index.js where that state lives.
+ */
+export function createScrapeMetrics(registry = createRegistry({ prefix: "pageshot_" })) {
+  return {
+    registry,
+    httpRequests: registry.counter("http_requests_total", "HTTP requests by route, method and status", ["route", "method", "status"]),
+    httpDuration: registry.histogram("http_request_duration_seconds", "HTTP request latency", ["route"]),
+    scrapes: registry.counter("scrapes_total", "Browser scrapes by kind and outcome (ok or error code)", ["kind", "outcome"]),
+    navigations: registry.counter("navigations_total", "Amazon page loads by outcome (ok or error code)", ["outcome"]),
+    detourBounces: registry.counter("detour_bounce_attempts_total", "Mission-page detours recovered from, by scrape kind", ["kind"]),
+    ocrRequests: registry.counter("ocr_requests_total", "OCR calls by provider and outcome", ["provider", "outcome"]),
+    ocrDuration: registry.histogram("ocr_duration_seconds", "OCR call latency", ["provider"]),
+    phaseDuration: registry.histogram("phase_duration_seconds", "Time spent per scrape phase", ["phase"]),
+  };
+}
@@ -0,0 +1,136 @@
+// src/ocr.js
+// Vision/LLM providers used to read brand + price off the DP screenshot.
+//
+// Every provider exposes the same shape:
+//   { name, extract(base64Image, { mimeType }) → Promise<{ brand, price } | null> }
+// `null` means "no OCR ran" and the scrape falls back to DOM-only fields.
+//
+// OCR_PROVIDER=gemini | openai | none   (default: gemini when GEMINI_API_KEY is set, else none)
+
+import { GoogleGenerativeAI } from "@google/generative-ai";
+
+export const OCR_PROMPT = `
+You are given a screenshot of an Amazon product page.
+Extract JSON with exactly these keys:
+- brand: string (brand or manufacturer name)
+- price: string (include currency symbol or ISO code, e.g., "$12.99" or "USD 12.99")
+Rules:
+- Return ONLY valid minified JSON: {"brand":"...","price":"..."}
+- If a field is unknown or not visible, use "Unspecified".`;
+
+// Models like to wrap JSON in code fences; anything unparsable becomes "Unspecified"
+export function parseOcrJson(raw = "") {
+  const text = (raw || "")
+    .trim()
+    .replace(/^```(?:json)?\s*/i, "")
+    .replace(/```$/i, "")
+    .trim();
+  try {
+    const parsed = JSON.parse(text);
+    return {
+      brand: typeof parsed.brand === "string" ? parsed.brand.trim() : "Unspecified",
+      price: typeof parsed.price === "string" ? parsed.price.trim() : "Unspecified",
+    };
+  } catch {
+    return { brand: "Unspecified", price: "Unspecified" };
+  }
+}
+
+/* --------------------------------- Gemini --------------------------------- */
+export function createGeminiProvider({
+  apiKey = process.env.GEMINI_API_KEY,
+  model = process.env.GEMINI_MODEL || "gemini-2.5-flash",
+} = {}) {
+  if (!apiKey) throw new Error("Missing GEMINI_API_KEY in environment");
+  const client = new GoogleGenerativeAI(apiKey).getGenerativeModel({ model });
+
+  return {
+    name: "gemini",
+    model,
+    async extract(base64Image, { mimeType = "image/png" } = {}) {
+      const result = await client.generateContent([
+        { text: OCR_PROMPT },
+        { inlineData: { mimeType, data: base64Image } },
+      ]);
+      return parseOcrJson(result.response.text());
+    },
+  };
+}
+
+/* ------------------------ OpenAI-compatible endpoint ---------------------- */
+// Any server speaking POST {baseUrl}/chat/completions with image_url parts
+// (OpenAI, vLLM, Ollama, LM Studio, llama.cpp server, ...).
+export function createOpenAICompatibleProvider({
+  baseUrl = process.env.OPENAI_BASE_URL || "https://api.openai.com/v1",
+  apiKey = process.env.OPENAI_API_KEY || "",
+  model = process.env.OPENAI_MODEL || "gpt-4o-mini",
+  timeoutMs = parseInt(process.env.OCR_TIMEOUT_MS || "", 10) || 60000,
+} = {}) {
+  const endpoint = baseUrl.replace(/\/+$/, "") + "/chat/completions";
+
+  return {
+    name: "openai",
+    model,
+    async extract(base64Image, { mimeType = "image/png" } = {}) {
+      const resp = await fetch(endpoint, {
+        method: "POST",
+        headers: {
+          "content-type": "application/json",
+          ...(apiKey ? { authorization: `Bearer ${apiKey}` } : {}),
+        },
+        body: JSON.stringify({
+          model,
+          temperature: 0,
+          messages: [
+            {
+              role: "user",
+              content: [
+                { type: "text", text: OCR_PROMPT },
+                { type: "image_url", image_url: { url: `data:${mimeType};base64,${base64Image}` } },
+              ],
+            },
+          ],
+        }),
+        signal: AbortSignal.timeout(timeoutMs),
+      });
+      if (!resp.ok) {
+        const body = await resp.text().catch(() => "");
+        throw new Error(`OCR endpoint returned ${resp.status}: ${body.slice(0, 200)}`);
+      }
+      const data = await resp.json();
+      const content = data?.choices?.[0]?.message?.content;
+      // Some servers return content as an array of parts
+      const text = Array.isArray(content)
+        ? content.map((p) => p?.text || "").join("")
+        : content || "";
+      return parseOcrJson(text);
+    },
+  };
+}
+
+/* ---------------------------------- None ---------------------------------- */
+export function createNoneProvider() {
+  return {
+    name: "none",
+    model: null,
+    async extract() {
+      return null;
+    },
+  };
+}
+
+export function createOcrProvider(name = process.env.OCR_PROVIDER) {
+  const choice = (name || (process.env.GEMINI_API_KEY ? "gemini" : "none")).toLowerCase();
+  switch (choice) {
+    case "gemini":
+      return createGeminiProvider();
+    case "openai":
+    case "openai-compatible":
+      return createOpenAICompatibleProvider();
+    case "none":
+    case "off":
+      return createNoneProvider();
+    default:
+      throw new Error(`Unknown OCR_PROVIDER: ${name}`);
+  }
+}
@@ -0,0 +1,138 @@
+// src/offers.js
+// Offer side of a DP page: availability, who holds the buy box (ships from /
+// sold by, seller id, FBA vs merchant-fulfilled), the delivery promise, and
+// the "other sellers" box. The browser collects text; buildOffer() interprets
+// it with the marketplace's availability labels.
+
+import { DEFAULT_MARKETPLACE } from "./marketplaces.js";
+import { parsePrice } from "./price.js";
+
+export async function readOfferRaw(page) {
+  try {
+    return await page.evaluate(() => {
+      const text = (el) => (el?.innerText || el?.textContent || "").replace(/\s+/g, " ").trim();
+      const q = (sel) => document.querySelector(sel);
+
+      const sellerLink = q("#sellerProfileTriggerId, #merchantInfoFeature_feature_div a[href*='seller=']");
+      const sellerId =
+        (sellerLink?.getAttribute("href") || "").match(/[?&]seller=([A-Z0-9]+)/i)?.[1] ||
+        q("#merchantID, input[name='merchantID']")?.value ||
+        "";
+
+      const primary = q("#mir-layout-DELIVERY_BLOCK-slot-PRIMARY_DELIVERY_MESSAGE_LARGE");
+      const fastest = q("#mir-layout-DELIVERY_BLOCK-slot-SECONDARY_DELIVERY_MESSAGE_LARGE");
+      const olp = q("#olpLinkWidget_feature_div, #dynamic-aod-ingress-box, .olp-text-box, #olp_feature_div");
+
+      return {
+        availabilityText: text(q("#availability, #outOfStock, #availabilityInsideBuyBox_feature_div")),
+        buyBoxPresent: !!q("#add-to-cart-button, #buy-now-button"),
+        seeAllBuyingOptions: !!q("#buybox-see-all-buying-choices, #buybox-see-all-buying-choices-announce"),
+        shipsFromText: text(
+          q("#fulfillerInfoFeature_feature_div .offer-display-feature-text, " +
+            ".tabular-buybox-text[tabular-attribute-name='Ships from'] .tabular-buybox-text-message")
+        ),
+        soldByText: text(
+          q("#merchantInfoFeature_feature_div .offer-display-feature-text, " +
+            ".tabular-buybox-text[tabular-attribute-name='Sold by'] .tabular-buybox-text-message")
+        ),
+        merchantInfoText: text(q("#merchant-info")),
+        sellerId,
+        deliveryText: text(primary || q("#deliveryBlockMessage, #delivery-message, #ddmDeliveryMessage")),
+        deliveryDate: primary?.querySelector("[data-csa-c-delivery-time]")?.getAttribute("data-csa-c-delivery-time") || "",
+        fastestText: text(fastest),
+        fastestDate: fastest?.querySelector("[data-csa-c-delivery-time]")?.getAttribute("data-csa-c-delivery-time") || "",
+        otherOffersText: text(olp),
+        otherOffersPriceText: text(olp?.querySelector(".a-price .a-offscreen, .a-color-price")),
+      };
+    });
+  } catch {
+    return null;
+  }
+}
+
+const isAmazon = (name = "") => /^amazon(?:\.[a-z.]+)?\b/i.test(name.trim());
+
+// "Ships from and sold by Amazon.com." / "Sold by Acme and Fulfilled by Amazon."
+function parseMerchantInfo(text = "") {
+  const both = text.match(/ships\s+from\s+and\s+sold\s+by\s+(.+?)\.?$/i);
+  if (both) return { shipsFrom: both[1], soldBy: both[1] };
+  const fba = text.match(/sold\s+by\s+(.+?)\s+and\s+fulfilled\s+by\s+(amazon[^.\s]*)/i);
+  if (fba) return { shipsFrom: fba[2], soldBy: fba[1] };
+  const sold = text.match(/sold\s+by\s+(.+?)\.?$/i);
+  return { shipsFrom: "", soldBy: sold ? sold[1] : "" };
+}
+
+// "AMAZON" (shipped and sold by Amazon), "FBA" (third-party, Amazon ships), "MFN" (merchant ships)
+export function fulfillmentType(shipsFrom, soldBy) {
+  if (!shipsFrom && !soldBy) return null;
+  if (isAmazon(shipsFrom)) return isAmazon(soldBy) ? "AMAZON" : "FBA";
+  if (!shipsFrom) return isAmazon(soldBy) ? "AMAZON" : null;
+  return "MFN";
+}
+
+export function parseAvailability(text = "", labels = DEFAULT_MARKETPLACE.labels) {
+  const t = String(text || "").trim();
+  const test = (key) => labels[key] && new RegExp(labels[key], "i").exec(t);
+  let status = "unknown";
+  let stockLeft = null;
+  let m;
+  if (!t) status = "unknown";
+  else if (test("unavailable")) status = "unavailable";
+  else if ((m = test("stockLeft"))) {
+    status = "limitedStock";
+    stockLeft = parseInt(m[1], 10);
+  } else if (test("preorder")) status = "preorder";
+  else if (test("inStock")) status = "inStock";
+
+  const inStock = status === "unknown" ? null : status === "inStock" || status === "limitedStock";
+  return { status, inStock, text: t || null, stockLeft };
+}
+
+// "New (5) from $12.99" / "5 new from $12.99" / "Neu (3) ab 12,99 €" → 5 / 3
+const offerCount = (text = "") => {
+  const m = text.match(/\((\d+)\)/) || text.match(/(?:^|\D)(\d{1,4})\s+\p{L}/u);
+  return m ? parseInt(m[1], 10) : null;
+};
+
+/*
+ * → { availability: { status, inStock, text, stockLeft },
+ *     buyBox: { present, shipsFrom, soldBy, sellerId, fulfillment, deliveryPromise, fastestDelivery },
+ *     otherOffers: { count, lowestPrice, text } | null }
+ * status is inStock | limitedStock | preorder | unavailable | unknown.
+ */
+export function buildOffer(raw, marketplace = DEFAULT_MARKETPLACE) {
+  if (!raw) {
+    return { availability: parseAvailability("", marketplace.labels), buyBox: null, otherOffers: null };
+  }
+  const availability = parseAvailability(raw.availabilityText, marketplace.labels);
+
+  const fallback = parseMerchantInfo(raw.merchantInfoText);
+  const shipsFrom = raw.shipsFromText || fallback.shipsFrom || "";
+  const soldBy = raw.soldByText || fallback.soldBy || "";
+  const present = !!raw.buyBoxPresent && !raw.seeAllBuyingOptions;
+
+  const promise = (text, date) => (text || date ? { text: text || null, date: date || null } : null);
+
+  const count = offerCount(raw.otherOffersText);
+  return {
+    availability,
+    buyBox: {
+      present,
+      shipsFrom: shipsFrom || null,
+      soldBy: soldBy || null,
+      sellerId: raw.sellerId || null,
+      fulfillment: present ? fulfillmentType(shipsFrom, soldBy) : null,
+      deliveryPromise: promise(raw.deliveryText, raw.deliveryDate),
+      fastestDelivery: promise(raw.fastestText, raw.fastestDate),
+    },
+    otherOffers: raw.otherOffersText
+      ? {
+          count,
+          lowestPrice: raw.otherOffersPriceText
+            ? parsePrice(raw.otherOffersPriceText, { currency: marketplace.currency })
+            : null,
+          text: raw.otherOffersText,
+        }
+      : null,
+  };
+}
@@ -0,0 +1,174 @@
+// src/price.js
+// Price text helpers: OCR price cleanup and parsing display strings
+// ("$12.99", "1.234,56 €", "￥1,280", "($0.45 / Ounce)") into typed values.
+
+/* ------------------------------ OCR price text ----------------------------- */
+export function includesCurrency(s = "") {
+  return /[\p{Sc}]|\b[A-Z]{3}\b/u.test(s);
+}
+export function currencyToken(s = "") {
+  const m = s.match(/([\p{Sc}]|\b[A-Z]{3}\b)/u);
+  return m ? m[1] : "";
+}
+export function normalizeGeminiPrice(raw = "", domPrice = "") {
+  let s = (raw || "").trim();
+  if (!s) return "Unspecified";
+  s = s.replace(/[\u00A0\u2009\u202F]/g, " ");
+  const hadSuper = /[⁰¹²³⁴⁵⁶⁷⁸⁹₀₁₂₃₄₅₆⁷⁸⁹]/.test(s);
+  const map = {
+    "⁰":"0","¹":"1","²":"2","³":"3","⁴":"4",
+    "⁵":"5","⁶":"6","⁷":"7","⁸":"8","⁹":"9",
+    "₀":"0","₁":"1","₂":"2","³":"3","⁴":"4",
+    "₅":"5","₆":"6","₇":"7","₈":"8","₉":"9",
+  };
+  s = s.replace(/[⁰¹²³⁴⁵⁶⁷⁸⁹₀-₉]/g, (ch) => map[ch] || ch);
+  if (!/\d\.\d{2,}/.test(s) && /(\d+),(\d{2})\b/.test(s)) s = s.replace(/(\d+),(\d{2})\b/, "$1.$2");
+  if (!/\d\.\d{2,}/.test(s) && /(\d+)\s+(\d{2})\b/.test(s)) s = s.replace(/(\d+)\s+(\d{2})\b/, "$1.$2");
+  if (hadSuper && !/\d\.\d{2,}/.test(s)) {
+    const digits = (s.match(/\d+/g) || []).join("");
+    if (digits.length >= 3) {
+      const num = `${digits.slice(0, -2)}.${digits.slice(-2)}`;
+      const cur = currencyToken(s) || currencyToken(domPrice);
+      s = cur ? `${cur} ${num}` : num;
+    }
+  }
+  if (!includesCurrency(s) && includesCurrency(domPrice)) {
+    const cur = currencyToken(domPrice);
+    if (cur) s = `${cur} ${s}`;
+  }
+  s = s.replace(/\s+/g, " ").trim();
+  return s || "Unspecified";
+}
+
+/* ----------------------------- Structured prices --------------------------- */
+// Longest tokens first so "CDN$" wins over "$"
+const CURRENCY_SYMBOLS = [
+  ["CDN$", "CAD"],
+  ["CA$", "CAD"],
+  ["C$", "CAD"],
+  ["US$", "USD"],
+  ["A$", "AUD"],
+  ["R$", "BRL"],
+  ["£", "GBP"],
+  ["€", "EUR"],
+  ["￥", "JPY"],
+  ["¥", "JPY"],
+  ["円", "JPY"],
+  ["₹", "INR"],
+  ["$", null], // resolved against the marketplace currency
+];
+const DOLLAR_CURRENCIES = new Set(["USD", "CAD", "AUD", "MXN", "SGD", "BRL"]);
+const ISO_CODES = new Set([
+  "USD", "CAD", "GBP", "EUR", "JPY", "AUD", "MXN", "BRL", "SGD", "INR",
+  "CNY", "CHF", "SEK", "PLN", "TRY", "AED", "SAR", "EGP",
+]);
+
+// ISO 4217 code for a price string; `fallback` is the marketplace currency
+export function detectCurrency(text = "", fallback = "") {
+  const s = text || "";
+  const iso = (s.match(/\b[A-Z]{3}\b/g) || []).find((c) => ISO_CODES.has(c));
+  if (iso) return iso;
+  for (const [sym, code] of CURRENCY_SYMBOLS) {
+    if (!s.includes(sym)) continue;
+    if (code) return code;
+    return DOLLAR_CURRENCIES.has(fallback) ? fallback : "USD";
+  }
+  return fallback || null;
+}
+
+// "1,234.56" / "1.234,56" / "1 234,56" / "1,280" → number
+export function parseAmount(text = "", currency = "") {
+  const m = (text || "").replace(/[\u00A0\u2009\u202F]/g, " ").match(/\d[\d.,' ]*/);
+  if (!m) return null;
+  let num = m[0].trim().replace(/[' ]/g, "");
+  const lastComma = num.lastIndexOf(",");
+  const lastDot = num.lastIndexOf(".");
+  if (lastComma !== -1 && lastDot !== -1) {
+    // Whichever separator comes last is the decimal point
+    num = lastComma > lastDot
+      ? num.replace(/\./g, "").replace(",", ".")
+      : num.replace(/,/g, "");
+  } else if (lastComma !== -1) {
+    const decimals = num.length - lastComma - 1;
+    const single = num.indexOf(",") === lastComma;
+    num = single && decimals > 0 && decimals <= 2 ? num.replace(",", ".") : num.replace(/,/g, "");
+  } else if (lastDot !== -1) {
+    const decimals = num.length - lastDot - 1;
+    const single = num.indexOf(".") === lastDot;
+    // "1.234" is a thousands group in EUR/JPY storefronts
+    const grouped = !single || (decimals === 3 && (currency === "EUR" || currency === "JPY"));
+    if (grouped) num = num.replace(/\./g, "");
+  }
+  num = num.replace(/[.,]$/, "");
+  const n = Number(num);
+  return Number.isFinite(n) ? n : null;
+}
+
+// { amount, currency, text } or null when there is no number in `text`
+export function parsePrice(text = "", { currency: fallback = "" } = {}) {
+  const original = (text || "").replace(/\s+/g, " ").trim();
+  if (!original || original === "Unspecified") return null;
+  const currency = detectCurrency(original, fallback);
+  const amount = parseAmount(original, currency);
+  if (amount === null) return null;
+  return { amount, currency, text: original };
+}
+
+// "($0.45 / Ounce)", "$0.45/oz", "0,45 € / 100 g", "$0.45 per count"
+export function parseUnitPrice(text = "", opts = {}) {
+  const original = (text || "").replace(/\s+/g, " ").trim();
+  const m = original.replace(/^\(|\)$/g, "").match(/^(.*?\d.*?)\s*(?:\/|\bper\b)\s*(.+)$/i);
+  if (!m) return null;
+  const price = parsePrice(m[1], opts);
+  if (!price) return null;
+  return { ...price, unit: m[2].replace(/\)$/, "").trim(), text: original };
+}
+
+// "-23%", "(23%)", "You Save: $5.00 (25%)" → 23
+export function parseSavingsPercent(text = "") {
+  const m = (text || "").match(/(\d{1,3}(?:[.,]\d+)?)\s*%/);
+  if (!m) return null;
+  const n = Number(m[1].replace(",", "."));
+  return Number.isFinite(n) ? n : null;
+}
+
+// "Apply $2.00 coupon", "Save 15% with coupon" → { text, percent } | { text, amount, currency }
+export function parseCoupon(text = "", opts = {}) {
+  const original = (text || "").replace(/\s+/g, " ").trim();
+  if (!original) return null;
+  const percent = parseSavingsPercent(original);
+  if (percent !== null) return { text: original, percent, amount: null, currency: null };
+  const price = parsePrice(original, opts);
+  return {
+    text: original,
+    percent: null,
+    amount: price ? price.amount : null,
+    currency: price ? price.currency : null,
+  };
+}
+
+// Combines the raw DP price strings into one structured object
+export function buildPriceDetails({
+  text = "",
+  listText = "",
+  savingsText = "",
+  unitPriceText = "",
+  couponText = "",
+} = {}, currency = "") {
+  const opts = { currency };
+  const current = parsePrice(text, opts);
+  const list = parsePrice(listText, opts);
+  let savingsPercent = parseSavingsPercent(savingsText);
+  if (savingsPercent === null && current && list && list.amount > current.amount) {
+    savingsPercent = Math.round(((list.amount - current.amount) / list.amount) * 100);
+  }
+  return {
+    amount: current ? current.amount : null,
+    currency: current ? current.currency : null,
+    text: current ? current.text : "",
+    list,
+    savingsPercent,
+    unitPrice: parseUnitPrice(unitPriceText, opts),
+    coupon: parseCoupon(couponText, opts),
+  };
+}
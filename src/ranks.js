@@ -0,0 +1,97 @@
+// src/ranks.js
+// Best Sellers Rank ladder of a DP page: the top-level category rank plus every
+// sub-category rank, each with its browse node id. The detail bullets are read
+// first, the #productDetails table is the fallback. The legacy rankingMain /
+// mainCategory / rankingSecondary / secondaryCategory strings derive from it.
+
+import { DEFAULT_MARKETPLACE } from "./marketplaces.js";
+
+// Raw { text, href, topLevel } rows, top-level first
+export async function readRankRows(page, marketplace = DEFAULT_MARKETPLACE) {
+  try {
+    return await page.evaluate((bsrLabel) => {
+      const BSR_RE = new RegExp(bsrLabel, "i");
+      const text = (el) => (el?.innerText || el?.textContent || "").replace(/\s+/g, " ").trim();
+      const href = (el) => el?.querySelector("a[href]")?.getAttribute("href") || "";
+
+      const li = Array.from(document.querySelectorAll("#detailBullets_feature_div li")).find((node) =>
+        BSR_RE.test(text(node.querySelector("span.a-text-bold") || node))
+      );
+      if (li) {
+        const clone = (li.querySelector("span.a-list-item") || li).cloneNode(true);
+        clone.querySelector("ul.zg_hrsr")?.remove();
+        clone.querySelector("span.a-text-bold")?.remove();
+        const rows = [{ text: text(clone), href: href(clone), topLevel: true }];
+        for (const sub of Array.from(li.querySelectorAll("ul.zg_hrsr > li"))) {
+          rows.push({ text: text(sub), href: href(sub), topLevel: false });
+        }
+        return rows;
+      }
+
+      const row = Array.from(document.querySelectorAll("#productDetails_detailBullets_sections1 tr")).find((tr) =>
+        BSR_RE.test(text(tr.querySelector("th")))
+      );
+      const td = row?.querySelector("td");
+      if (!td) return [];
+      const ul = td.querySelector("ul.a-unordered-list") || td.querySelector("ul");
+      const items = ul ? Array.from(ul.children).filter((n) => n.tagName?.toLowerCase() === "li") : [];
+      return items.map((item, i) => ({ text: text(item), href: href(item), topLevel: i === 0 }));
+    }, marketplace.labels.bestSellersRank);
+  } catch {
+    return [];
+  }
+}
+
+// "#1,234 in …" / "Nr. 2.468 in …" / "1 234 en …" / "1,234位…" → 1234
+export function parseRank(text = "", connector = DEFAULT_MARKETPLACE.labels.rankConnector) {
+  const m =
+    String(text).match(/(?:#|Nr\.|n°)\s*(\d[\d,\s.]*)/i) ||
+    String(text).match(new RegExp(`\\b(\\d[\\d,\\s.]*?)${connector}`, "i"));
+  const n = m ? parseInt(m[1].replace(/[^\d]/g, ""), 10) : NaN;
+  return Number.isFinite(n) ? n : null;
+}
+
+// Text after the connector, without "(See Top 100 in …)" or "| …" tails
+export function parseRankCategory(text = "", connector = DEFAULT_MARKETPLACE.labels.rankConnector) {
+  return String(text)
+    .replace(new RegExp(`^.*?${connector}\\s*`, "i"), "")
+    .replace(/\([^)]*\)/g, "")
+    .split("|")[0]
+    .trim();
+}
+
+// "/gp/bestsellers/grocery/16318401/ref=…" → "16318401"; top-level links carry no node id
+export function browseNodeFromHref(href = "") {
+  const m = String(href).match(/\/(?:bestsellers|zgbs)\/[^/?#]+\/(\d+)(?=[/?#]|$)/i);
+  return m ? m[1] : null;
+}
+
+/*
+ * → [{ rank, category, url, browseNodeId, topLevel }] in page order.
+ * rank is a number (null when unreadable); url is absolute.
+ */
+export function buildBestSellersRanks(rows = [], marketplace = DEFAULT_MARKETPLACE) {
+  const connector = marketplace.labels.rankConnector;
+  return rows
+    .map((row) => ({
+      rank: parseRank(row.text, connector),
+      category: parseRankCategory(row.text, connector) || null,
+      url: row.href ? new URL(row.href, `https://${marketplace.host}`).href : null,
+      browseNodeId: browseNodeFromHref(row.href),
+      topLevel: !!row.topLevel,
+    }))
+    .filter((r) => r.rank != null || r.category);
+}
+
+// The pre-ladder string fields: top-level rank and the first sub-category
+export function legacyRankFields(ranks = []) {
+  const main = ranks.find((r) => r.topLevel);
+  const sub = ranks.find((r) => !r.topLevel);
+  const str = (v) => (v == null || v === "" ? "Unspecified" : String(v));
+  return {
+    rankingMain: str(main?.rank),
+    mainCategory: str(main?.category),
+    rankingSecondary: str(sub?.rank),
+    secondaryCategory: str(sub?.category),
+  };
+}
@@ -0,0 +1,165 @@
+// src/reviews.js
+// Review extractors: star histogram, "Customers say" summary and aspects, and
+// the individual reviews shown on a DP page or a /product-reviews/ page.
+// The browser side only collects text; parsing into numbers happens here so it
+// can be unit-tested without a page.
+
+import { DEFAULT_MARKETPLACE } from "./marketplaces.js";
+
+export const REVIEWS_PER_PAGE = 10;
+
+export const reviewsUrl = (asin, marketplace = DEFAULT_MARKETPLACE, pageNumber = 1) =>
+  `https://${marketplace.host}/product-reviews/${asin}/?pageNumber=${pageNumber}&reviewerType=all_reviews`;
+
+// "4.0 out of 5 stars" / "4,0 von 5 Sternen" / "5つ星のうち4.0" → 4
+export function parseStars(text = "") {
+  const t = String(text);
+  const jp = t.match(/5つ星のうち\s*(\d(?:[.,]\d)?)/);
+  const m = jp || t.match(/(\d(?:[.,]\d)?)/);
+  return m ? Number(m[1].replace(",", ".")) : null;
+}
+
+// "1,234 people found this helpful" / "One person found this helpful" / "Eine Person fand das hilfreich" → number
+export function parseHelpfulVotes(text = "") {
+  const t = String(text).trim();
+  if (!t) return 0;
+  const m = t.match(/\d[\d,.\s]*/);
+  if (m) return parseInt(m[0].replace(/[^\d]/g, ""), 10);
+  return /^(one|une?|eine?|ein)\b/i.test(t) ? 1 : 0;
+}
+
+// "65%" → 65
+const percent = (text = "") => {
+  const m = String(text).match(/(\d{1,3})\s*%/);
+  return m ? Number(m[1]) : null;
+};
+
+// { 5: 65, 4: 20, 3: 8, 2: 3, 1: 4 } from the raw histogram rows; null when absent
+export function buildHistogram(rows = []) {
+  const histogram = {};
+  rows.forEach((row, i) => {
+    const stars = parseInt(String(row.label).match(/[1-5]/)?.[0] || "", 10) || 5 - i;
+    const pct = percent(row.percentText);
+    if (stars >= 1 && stars <= 5 && pct != null && histogram[stars] === undefined) histogram[stars] = pct;
+  });
+  return Object.keys(histogram).length ? histogram : null;
+}
+
+export function shapeReview(raw, marketplace = DEFAULT_MARKETPLACE) {
+  const dateMatch = (raw.dateText || "").match(new RegExp(marketplace.labels.date, "i"));
+  return {
+    id: raw.id || null,
+    author: raw.author || null,
+    title: raw.title || null,
+    stars: parseStars(raw.starsText),
+    date: dateMatch ? dateMatch[0] : raw.dateText || null,
+    verified: !!raw.verified,
+    helpfulVotes: parseHelpfulVotes(raw.helpfulText),
+    body: raw.body || null,
+  };
+}
+
+// Raw review cards ([data-hook="review"]) on the current page
+async function readRawReviews(page) {
+  return page.evaluate(() => {
+    const text = (el) => (el?.innerText || el?.textContent || "").replace(/\s+/g, " ").trim();
+    return Array.from(document.querySelectorAll('[data-hook="review"]')).map((card) => {
+      const titleEl = card.querySelector('[data-hook="review-title"]');
+      // The title link also holds the star text in an .a-icon-alt span
+      const starsEl =
+        card.querySelector('[data-hook="review-star-rating"] .a-icon-alt, [data-hook="cmps-review-star-rating"] .a-icon-alt') ||
+        titleEl?.querySelector(".a-icon-alt");
+      const titleClone = titleEl?.cloneNode(true);
+      titleClone?.querySelectorAll(".a-icon-alt, .a-letter-space, i").forEach((n) => n.remove());
+      return {
+        id: card.id || "",
+        author: text(card.querySelector(".a-profile-name")),
+        title: text(titleClone),
+        starsText: text(starsEl),
+        dateText: text(card.querySelector('[data-hook="review-date"]')),
+        verified: !!card.querySelector('[data-hook="avp-badge"], [data-hook="avp-badge-linkless"]'),
+        helpfulText: text(card.querySelector('[data-hook="helpful-vote-statement"]')),
+        body: text(card.querySelector('[data-hook="review-body"]')),
+      };
+    });
+  });
+}
+
+export async function readReviews(page, marketplace = DEFAULT_MARKETPLACE) {
+  try {
+    return (await readRawReviews(page)).map((r) => shapeReview(r, marketplace));
+  } catch {
+    return [];
+  }
+}
+
+// Histogram, "Customers say" and the top reviews on a DP page
+export async function readReviewSummary(page, marketplace = DEFAULT_MARKETPLACE) {
+  let raw;
+  try {
+    raw = await page.evaluate(() => {
+      const text = (el) => (el?.innerText || el?.textContent || "").replace(/\s+/g, " ").trim();
+
+      const rows = Array.from(
+        document.querySelectorAll("#histogramTable li, #histogramTable tr, .cr-widget-histogram .a-histogram-row")
+      ).map((row) => {
+        const link = row.querySelector("a[aria-label]");
+        const aria = link?.getAttribute("aria-label") || "";
+        // aria-label reads "65 percent of reviews have 5 stars"
+        const m = aria.match(/(\d{1,3})\D+([1-5])/);
+        return m
+          ? { label: m[2], percentText: `${m[1]}%` }
+          : {
+              label: text(row.querySelector(".a-text-left, td:first-child, .a-span2")) || text(row),
+              percentText: text(row.querySelector(".a-text-right, td:last-child, .a-span1")) || text(row),
+            };
+      });
+
+      const summaryEl = document.querySelector(
+        '#product-summary p, [data-hook="cr-insights-widget-summary"] p, [data-hook="cr-insights-widget-summary"]'
+      );
+      const aspects = Array.from(
+        document.querySelectorAll('[data-hook="cr-insights-widget-aspects"] [data-hook="cr-insights-aspect-link"], [data-hook="cr-insights-widget-aspects"] button, #cr-insights-widget-aspects button')
+      ).map((el) => {
+        const label = el.getAttribute("aria-label") || text(el);
+        const cls = `${el.className} ${el.querySelector("i, svg, span")?.className || ""}`;
+        const sentiment = /positive|green/i.test(cls)
+          ? "positive"
+          : /negative|red/i.test(cls)
+            ? "negative"
+            : /mixed|neutral/i.test(cls)
+              ? "mixed"
+              : null;
+        return { label, sentiment };
+      });
+
+      return { rows, summary: text(summaryEl), aspects };
+    });
+  } catch {
+    return { ratingHistogram: null, customersSay: null, topReviews: [] };
+  }
+
+  const aspects = [];
+  for (const a of raw.aspects) {
+    // "Value for money (1,234 mentions)"-style labels carry a mention count
+    const m = a.label.match(/^(.*?)\s*\(?\b(\d[\d,.]*)\b[^)]*\)?$/);
+    const name = (m ? m[1] : a.label).trim();
+    if (!name || aspects.some((x) => x.name === name)) continue;
+    aspects.push({ name, sentiment: a.sentiment, mentions: m ? parseInt(m[2].replace(/[^\d]/g, ""), 10) : null });
+  }
+
+  return {
+    ratingHistogram: buildHistogram(raw.rows),
+    customersSay: raw.summary || aspects.length ? { summary: raw.summary || null, aspects } : null,
+    topReviews: await readReviews(page, marketplace),
+  };
+}
+
+// Whether the reviews page links to a next page
+export async function hasNextReviewsPage(page) {
+  try {
+    return await page.evaluate(() => !!document.querySelector("ul.a-pagination li.a-last:not(.a-disabled) a"));
+  } catch {
+    return false;
+  }
+}
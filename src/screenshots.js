@@ -0,0 +1,147 @@
+// src/screenshots.js
+// Screenshot request options, WebP conversion and on-disk delivery.
+//
+//   shot      viewport (default) | full | buybox | title | gallery | none
+//   format    png (default) | jpeg | webp, with quality 1-100 for jpeg/webp
+//   viewport  "1280x800" (or width/height)
+//   delivery  inline (base64, default) | url (stored under SCREENSHOT_DIR, served at /screenshots)
+
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { randomUUID } from "node:crypto";
+
+export const SCREENSHOT_DIR =
+  process.env.SCREENSHOT_DIR || path.join(os.tmpdir(), "pageshot-screenshots");
+export const SCREENSHOT_ROUTE = "/screenshots";
+
+// Element crops, first visible match wins
+export const ELEMENT_SHOTS = {
+  buybox: "#desktop_buybox, #buybox, #buyBoxAccordion, #rightCol",
+  title: "#titleSection, #title_feature_div, #centerCol #title",
+  gallery: "#imageBlock, #imageBlock_feature_div, #main-image-container, #leftCol",
+};
+
+const SHOTS = new Set(["viewport", "full", "none", ...Object.keys(ELEMENT_SHOTS)]);
+const FORMATS = new Set(["png", "jpeg", "webp"]);
+const MIME = { png: "image/png", jpeg: "image/jpeg", webp: "image/webp" };
+
+export const DEFAULT_SCREENSHOT_OPTIONS = Object.freeze({
+  shot: "viewport",
+  format: "png",
+  quality: undefined,
+  width: 1280,
+  height: 800,
+  delivery: "inline",
+});
+
+const isDefault = (o) =>
+  o.shot === "viewport" && o.format === "png" && o.width === 1280 && o.height === 800;
+
+// Options from a query string or JSON body → { options } | { error }
+export function parseScreenshotOptions(src = {}) {
+  const o = { ...DEFAULT_SCREENSHOT_OPTIONS };
+
+  if (src.shot !== undefined) {
+    const shot = String(src.shot).toLowerCase();
+    if (!SHOTS.has(shot)) return { error: `Invalid shot: ${src.shot}` };
+    o.shot = shot;
+  }
+
+  if (src.format !== undefined) {
+    const format = String(src.format).toLowerCase().replace(/^jpg$/, "jpeg");
+    if (!FORMATS.has(format)) return { error: `Invalid format: ${src.format}` };
+    o.format = format;
+  }
+
+  if (src.quality !== undefined) {
+    const q = parseInt(src.quality, 10);
+    if (!(q >= 1 && q <= 100)) return { error: "quality must be 1-100" };
+    if (o.format === "png") return { error: "quality applies to jpeg and webp only" };
+    o.quality = q;
+  } else if (o.format !== "png") {
+    o.quality = 80;
+  }
+
+  let { width, height } = src;
+  if (src.viewport !== undefined) {
+    const m = String(src.viewport).match(/^(\d{2,5})\s*[x×,]\s*(\d{2,5})$/i);
+    if (!m) return { error: "viewport must look like 1280x800" };
+    [width, height] = [m[1], m[2]];
+  }
+  if (width !== undefined || height !== undefined) {
+    const w = parseInt(width ?? o.width, 10);
+    const h = parseInt(height ?? o.height, 10);
+    if (!(w >= 320 && w <= 3840 && h >= 240 && h <= 4320)) {
+      return { error: "viewport must be between 320x240 and 3840x4320" };
+    }
+    o.width = w;
+    o.height = h;
+  }
+
+  if (src.delivery !== undefined) {
+    const delivery = String(src.delivery).toLowerCase();
+    if (delivery !== "inline" && delivery !== "url") return { error: `Invalid delivery: ${src.delivery}` };
+    o.delivery = delivery;
+  }
+
+  o.mimeType = MIME[o.format];
+  // The OCR prompt is tuned for the plain 1280x800 PNG; anything else gets its own capture
+  o.reusableForOcr = isDefault(o);
+  return { options: o };
+}
+
+// Re-encodes a PNG buffer as WebP using the page's own canvas (Playwright only emits png/jpeg)
+export async function pngToWebp(page, png, quality = 80) {
+  const b64 = await page.evaluate(
+    async ({ data, q }) => {
+      const bytes = Uint8Array.from(atob(data), (c) => c.charCodeAt(0));
+      const bitmap = await createImageBitmap(new Blob([bytes], { type: "image/png" }));
+      const canvas = new OffscreenCanvas(bitmap.width, bitmap.height);
+      canvas.getContext("2d").drawImage(bitmap, 0, 0);
+      const blob = await canvas.convertToBlob({ type: "image/webp", quality: q / 100 });
+      const buf = new Uint8Array(await blob.arrayBuffer());
+      let bin = "";
+      for (let i = 0; i < buf.length; i += 0x8000) {
+        bin += String.fromCharCode.apply(null, buf.subarray(i, i + 0x8000));
+      }
+      return btoa(bin);
+    },
+    { data: png.toString("base64"), q: quality }
+  );
+  return Buffer.from(b64, "base64");
+}
+
+// Writes the image under SCREENSHOT_DIR; resolves to its path below SCREENSHOT_ROUTE
+export async function storeScreenshot(buffer, format) {
+  await fs.mkdir(SCREENSHOT_DIR, { recursive: true });
+  const name = `${randomUUID()}.${format === "jpeg" ? "jpg" : format}`;
+  await fs.writeFile(path.join(SCREENSHOT_DIR, name), buffer);
+  return `${SCREENSHOT_ROUTE}/${name}`;
+}
+
+// Deletes stored screenshots older than `ttlMs`
+export const sweepScreenshots = (ttlMs) => removeFilesOlderThan(SCREENSHOT_DIR, ttlMs);
+
+// Deletes the plain files in dir last written more than ttlMs ago; returns the count
+export async function removeFilesOlderThan(dir, ttlMs) {
+  let names;
+  try {
+    names = await fs.readdir(dir);
+  } catch {
+    return 0;
+  }
+  let removed = 0;
+  const cutoff = Date.now() - ttlMs;
+  for (const name of names) {
+    const file = path.join(dir, name);
+    try {
+      const st = await fs.stat(file);
+      if (st.isFile() && st.mtimeMs < cutoff) {
+        await fs.unlink(file);
+        removed++;
+      }
+    } catch {}
+  }
+  return removed;
+}
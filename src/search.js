@@ -0,0 +1,103 @@
+// src/search.js
+// Search results pages (/s?k=...): the ordered result list with ASIN,
+// position, sponsored flag, title, price, rating, review count and badge.
+
+import { DEFAULT_MARKETPLACE } from "./marketplaces.js";
+import { parsePrice } from "./price.js";
+import { parseStars } from "./reviews.js";
+
+export const searchUrl = (keyword, marketplace = DEFAULT_MARKETPLACE, pageNumber = 1) =>
+  `https://${marketplace.host}/s?k=${encodeURIComponent(keyword).replace(/%20/g, "+")}` +
+  (pageNumber > 1 ? `&page=${pageNumber}` : "");
+
+// Keyword of an Amazon /s?k= URL, "" for anything else
+export function searchKeyword(u = "") {
+  try {
+    const url = new URL(u);
+    return url.pathname.replace(/\/+$/, "") === "/s" ? (url.searchParams.get("k") || "").trim() : "";
+  } catch {
+    return "";
+  }
+}
+
+// "12,345" / "(12.3K)" / "1.2M" → number
+export function parseCount(text = "") {
+  const m = String(text).replace(/[()]/g, "").match(/(\d[\d,.\s]*)\s*([KkMm])?\b/);
+  if (!m) return null;
+  if (m[2]) {
+    const n = parseFloat(m[1].replace(/,/g, "."));
+    return Math.round(n * (/k/i.test(m[2]) ? 1e3 : 1e6));
+  }
+  const n = parseInt(m[1].replace(/[^\d]/g, ""), 10);
+  return Number.isFinite(n) ? n : null;
+}
+
+// Raw result cards of the current page, in page order
+export async function readSearchPage(page) {
+  try {
+    return await page.evaluate(() => {
+      const text = (el) => (el?.innerText || el?.textContent || "").replace(/\s+/g, " ").trim();
+      const SPONSORED_RE = /^(?:sponsored|gesponsert|sponsorisé|スポンサー)/i;
+
+      const cards = Array.from(
+        document.querySelectorAll('[data-component-type="s-search-result"][data-asin]')
+      ).filter((el) => /^[A-Z0-9]{10}$/i.test(el.getAttribute("data-asin") || ""));
+
+      const results = cards.map((card) => {
+        const ratingEl = card.querySelector(".a-icon-star-small .a-icon-alt, .a-icon-star .a-icon-alt, i[class*='a-star'] .a-icon-alt");
+        const countEl = card.querySelector(
+          "a[href*='customerReviews'] .s-underline-text, a[href*='customerReviews'] span, span[aria-label][class*='s-underline']"
+        );
+        const sponsoredEl = card.querySelector(
+          ".puis-sponsored-label-text, .s-sponsored-label-text, .puis-label-popover-default, [data-component-type='sp-sponsored-result']"
+        );
+        return {
+          asin: card.getAttribute("data-asin").toUpperCase(),
+          title: text(card.querySelector("h2 span") || card.querySelector("h2")),
+          sponsored:
+            /AdHolder/.test(card.className) ||
+            (!!sponsoredEl && SPONSORED_RE.test(text(sponsoredEl) || "sponsored")),
+          priceText: text(card.querySelector(".a-price:not(.a-text-price) .a-offscreen")),
+          ratingText: text(ratingEl),
+          reviewCountText: text(countEl) || countEl?.getAttribute("aria-label") || "",
+          badge: text(card.querySelector(".a-badge-text, [data-component-type='s-status-badge-component'] .a-badge-label-inner")),
+        };
+      });
+
+      const next = document.querySelector("a.s-pagination-next:not(.s-pagination-disabled)");
+      return {
+        results,
+        hasNext: !!next,
+        totalText: text(document.querySelector("[data-component-type='s-result-info-bar'] h1 span, .s-desktop-toolbar h1 span")),
+      };
+    });
+  } catch {
+    return { results: [], hasNext: false, totalText: "" };
+  }
+}
+
+/*
+ * Numbers the raw cards of one page. `offset` / `organicOffset` carry the
+ * counts from earlier pages so positions run across the whole result list;
+ * sponsored results get no organicPosition.
+ */
+export function shapeSearchResults(
+  raw,
+  { marketplace = DEFAULT_MARKETPLACE, pageNumber = 1, offset = 0, organicOffset = 0 } = {}
+) {
+  let organic = organicOffset;
+  return (raw || []).map((r, i) => ({
+    position: offset + i + 1,
+    organicPosition: r.sponsored ? null : ++organic,
+    page: pageNumber,
+    ASIN: r.asin,
+    sponsored: !!r.sponsored,
+    title: r.title || null,
+    // Canonical DP link; sponsored hrefs are click-tracking redirects
+    url: `https://${marketplace.host}/dp/${r.asin}`,
+    price: r.priceText ? parsePrice(r.priceText, { currency: marketplace.currency }) : null,
+    rating: r.ratingText ? parseStars(r.ratingText) : null,
+    reviewCount: r.reviewCountText ? parseCount(r.reviewCountText) : null,
+    badge: r.badge || null,
+  }));
+}
@@ -0,0 +1,226 @@
+// src/variations.js
+// Variation family ("twister") of a DP page: dimensions, their values, the
+// child ASIN behind each combination and, where the page shows it, per-child
+// availability and price.
+//
+// Two sources are combined: the twister JSON embedded in page scripts
+// (dimensions, variationValues, asinVariationValues, dimensionValuesDisplayData,
+// parentAsin, currentAsin) and the rendered swatches/dropdowns, which carry
+// availability classes and swatch prices the JSON lacks.
+
+import { parsePrice } from "./price.js";
+
+const TWISTER_KEYS = [
+  "dimensions",
+  "dimensionsDisplay",
+  "variationDisplayLabels",
+  "variationValues",
+  "asinVariationValues",
+  "dimensionValuesDisplayData",
+  "parentAsin",
+  "currentAsin",
+];
+
+// Raw twister data + swatches from the page, shaped later by buildVariations()
+export async function readTwister(page) {
+  try {
+    return await page.evaluate((keys) => {
+      // Value of `"key": ...` in a script body: balanced {...}/[...], a string or a scalar
+      const jsonAfterKey = (txt, key) => {
+        const m = new RegExp(`["']${key}["']\\s*:\\s*`).exec(txt);
+        if (!m) return undefined;
+        let i = m.index + m[0].length;
+        const open = txt[i];
+        if (open !== "{" && open !== "[" && open !== '"') {
+          const s = txt.slice(i).match(/^(null|true|false|-?\d+(?:\.\d+)?)/);
+          return s ? JSON.parse(s[1]) : undefined;
+        }
+        let depth = 0, inStr = false;
+        const start = i;
+        for (; i < txt.length; i++) {
+          const c = txt[i];
+          if (inStr) {
+            if (c === "\\") i++;
+            else if (c === '"') {
+              inStr = false;
+              if (open === '"') break;
+            }
+            continue;
+          }
+          if (c === '"') {
+            inStr = true;
+            continue;
+          }
+          if (c === "{" || c === "[") depth++;
+          else if (c === "}" || c === "]") {
+            depth--;
+            if (depth === 0) break;
+          }
+        }
+        const slice = txt.slice(start, i + 1).replace(/,\s*([}\]])/g, "$1");
+        try {
+          return JSON.parse(slice);
+        } catch {
+          return undefined;
+        }
+      };
+
+      let twister = null;
+      for (const s of Array.from(document.querySelectorAll("script"))) {
+        const txt = s.textContent || "";
+        if (!/asinVariationValues|dimensionValuesDisplayData/.test(txt)) continue;
+        twister = {};
+        for (const key of keys) {
+          const v = jsonAfterKey(txt, key);
+          if (v !== undefined) twister[key] = v;
+        }
+        break;
+      }
+
+      const clean = (t) => (t || "").replace(/\s+/g, " ").trim();
+      const asinFrom = (el) => {
+        const direct = el.getAttribute("data-defaultasin") || el.getAttribute("data-asin") || "";
+        if (/^[A-Z0-9]{10}$/i.test(direct)) return direct.toUpperCase();
+        const url = el.getAttribute("data-dp-url") || el.querySelector("a[href*='/dp/']")?.getAttribute("href") || "";
+        const m = url.match(/\/dp\/([A-Z0-9]{10})/i);
+        return m ? m[1].toUpperCase() : "";
+      };
+
+      const swatches = [];
+      const containers = document.querySelectorAll(
+        "#twister [id^='variation_'], #twisterContainer [id^='variation_'], [id^='inline-twister-row-']"
+      );
+      for (const box of Array.from(containers)) {
+        const dim = box.id.replace(/^variation_|^inline-twister-row-/, "");
+        if (!dim || /^\d+$/.test(dim)) continue;
+
+        for (const li of Array.from(box.querySelectorAll("li"))) {
+          const value = clean(
+            (li.getAttribute("title") || "").replace(/^Click to select\s*/i, "") ||
+              li.querySelector("img")?.getAttribute("alt") ||
+              li.querySelector(".swatch-title-text, .twisterTextDiv, .a-button-text")?.textContent ||
+              ""
+          );
+          if (!value) continue;
+          const cls = `${li.className} ${li.querySelector(".a-button")?.className || ""}`;
+          swatches.push({
+            dim,
+            value,
+            asin: asinFrom(li),
+            available: !/unavailable/i.test(cls) && li.getAttribute("data-initiallyunavailable") !== "true",
+            selected: /swatchSelect|a-button-selected/.test(cls) || li.getAttribute("aria-checked") === "true",
+            priceText: clean(
+              li.querySelector(".a-price .a-offscreen, .twisterSwatchPrice, .twister_swatch_price")?.textContent
+            ),
+          });
+        }
+
+        for (const opt of Array.from(box.querySelectorAll("select option"))) {
+          const [, asin = ""] = (opt.value || "").split(",");
+          const value = clean(opt.textContent);
+          if (!asin || !value) continue;
+          swatches.push({
+            dim,
+            value,
+            asin: /^[A-Z0-9]{10}$/i.test(asin) ? asin.toUpperCase() : "",
+            available: !/unavailable/i.test(opt.className),
+            selected: opt.selected,
+            priceText: "",
+          });
+        }
+      }
+
+      return twister || swatches.length ? { twister, swatches } : null;
+    }, TWISTER_KEYS);
+  } catch {
+    return null;
+  }
+}
+
+// "size_name" → "Size", "number_of_items" → "Number Of Items"
+const humanize = (key) =>
+  key.replace(/_name$/, "").split("_").map((w) => w.charAt(0).toUpperCase() + w.slice(1)).join(" ");
+
+/*
+ * → { parentAsin, currentAsin, dimensions: [{ key, name, values: [{ value, selected, available }] }],
+ *     children: [{ asin, values: { <name>: value }, selected, available, price }] } | null
+ * `available` is null where the page doesn't say; `price` is a parsePrice() object or null.
+ */
+export function buildVariations(raw, currency = "") {
+  if (!raw) return null;
+  const tw = raw.twister || {};
+  const swatches = raw.swatches || [];
+
+  const keys = Array.isArray(tw.dimensions) && tw.dimensions.length
+    ? tw.dimensions
+    : tw.variationValues && Object.keys(tw.variationValues).length
+      ? Object.keys(tw.variationValues)
+      : [...new Set(swatches.map((s) => s.dim))];
+  if (!keys.length) return null;
+
+  const nameOf = (key, i) =>
+    (Array.isArray(tw.dimensionsDisplay) && tw.dimensionsDisplay[i]) ||
+    tw.variationDisplayLabels?.[key] ||
+    humanize(key);
+  const swatch = (key, value) => swatches.find((s) => s.dim === key && s.value === value);
+
+  const dimensions = keys.map((key, i) => {
+    const listed = tw.variationValues?.[key];
+    const values = Array.isArray(listed) && listed.length
+      ? listed.map(String)
+      : [...new Set(swatches.filter((s) => s.dim === key).map((s) => s.value))];
+    return {
+      key,
+      name: nameOf(key, i),
+      values: values.map((value) => {
+        const s = swatch(key, value);
+        return { value, selected: !!s?.selected, available: s ? s.available : null };
+      }),
+    };
+  });
+
+  // Child ASIN → { dimension name: value }
+  const combos = new Map();
+  if (tw.asinVariationValues && typeof tw.asinVariationValues === "object") {
+    for (const [asin, idx] of Object.entries(tw.asinVariationValues)) {
+      const values = {};
+      dimensions.forEach((d) => {
+        const v = d.values[parseInt(idx?.[d.key], 10)];
+        if (v) values[d.name] = v.value;
+      });
+      combos.set(asin.toUpperCase(), values);
+    }
+  } else if (tw.dimensionValuesDisplayData && typeof tw.dimensionValuesDisplayData === "object") {
+    for (const [asin, list] of Object.entries(tw.dimensionValuesDisplayData)) {
+      const values = {};
+      (Array.isArray(list) ? list : [list]).forEach((v, i) => {
+        if (dimensions[i]) values[dimensions[i].name] = String(v);
+      });
+      combos.set(asin.toUpperCase(), values);
+    }
+  } else if (dimensions.length === 1) {
+    // Swatches alone only pin down a child when there's a single dimension
+    for (const s of swatches) if (s.asin) combos.set(s.asin, { [dimensions[0].name]: s.value });
+  }
+
+  const currentAsin = (tw.currentAsin || swatches.find((s) => s.selected && s.asin)?.asin || "").toUpperCase();
+  const children = [...combos].map(([asin, values]) => {
+    // A child can show up in several dimensions' swatches; any of them may carry the price
+    const own = swatches.filter((s) => s.asin === asin);
+    const priced = own.find((s) => s.priceText);
+    return {
+      asin,
+      values,
+      selected: asin === currentAsin,
+      available: own.length ? own.every((s) => s.available) : null,
+      price: priced ? parsePrice(priced.priceText, { currency }) : null,
+    };
+  });
+
+  return {
+    parentAsin: (tw.parentAsin || "").toUpperCase() || null,
+    currentAsin: currentAsin || null,
+    dimensions,
+    children,
+  };
+}
@@ -0,0 +1,211 @@
+import { after, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import {
+  corsOptions,
+  createAdminGuard,
+  createAuth,
+  createKeyring,
+  loadApiKeys,
+  parseApiKey,
+  parseCorsOrigins,
+  requestApiKey,
+} from "../src/access.js";
+
+const KEY_A = "a".repeat(24);
+const KEY_B = "b".repeat(24);
+const keys = (...entries) => loadApiKeys({ list: entries.join(","), file: "" });
+
+describe("parseApiKey / loadApiKeys", () => {
+  test("reads name, key and optional daily quota", () => {
+    assert.deepEqual(parseApiKey(`airtable:${KEY_A}:500`), { name: "airtable", key: KEY_A, quota: 500 });
+    assert.deepEqual(parseApiKey(` retool : ${KEY_B} `), { name: "retool", key: KEY_B, quota: null });
+  });
+
+  test("rejects short keys, bad quotas and duplicates", () => {
+    assert.throws(() => parseApiKey("x:short"), /shorter than 16/);
+    assert.throws(() => parseApiKey(`x:${KEY_A}:lots`), /Invalid quota/);
+    assert.throws(() => parseApiKey(KEY_A), /Invalid API key entry/);
+    assert.throws(() => keys(`a:${KEY_A}`, `a:${KEY_B}`), /Duplicate API key name/);
+    assert.throws(() => keys(`a:${KEY_A}`, `b:${KEY_A}`), /already used by a/);
+    assert.deepEqual(keys("", "# comment"), []);
+  });
+
+  test("takes the key from the header, a bearer token or the query", () => {
+    assert.equal(requestApiKey({ headers: { "x-api-key": " k1 " }, query: {} }), "k1");
+    assert.equal(requestApiKey({ headers: { authorization: "Bearer k2" }, query: {} }), "k2");
+    assert.equal(requestApiKey({ headers: {}, query: { api_key: "k3" } }), "k3");
+    assert.equal(requestApiKey({ headers: {}, query: {} }), "");
+  });
+});
+
+describe("createKeyring", () => {
+  test("identifies keys and enforces the daily quota", () => {
+    let t = Date.parse("2026-10-19T23:00:00Z");
+    const ring = createKeyring({ keys: keys(`airtable:${KEY_A}:3`, `retool:${KEY_B}`), now: () => t });
+    assert.equal(ring.enabled, true);
+    assert.equal(ring.identify("nope"), null);
+    assert.equal(ring.identify(""), null);
+    const a = ring.identify(KEY_A);
+    assert.equal(a.name, "airtable");
+
+    assert.equal(ring.charge(a, 2).remaining, 1);
+    assert.throws(() => ring.charge(a, 2), (err) => {
+      assert.equal(err.code, "QUOTA_EXCEEDED");
+      assert.equal(err.status, 429);
+      assert.equal(err.retryAfterMs, 60 * 60 * 1000);
+      assert.match(err.message, /2 requested, 1 left/);
+      return true;
+    });
+    assert.equal(ring.charge(a).remaining, 0);
+
+    // Unlimited keys still count
+    const b = ring.identify(KEY_B);
+    assert.equal(ring.charge(b, 5).remaining, null);
+
+    t += 2 * 60 * 60 * 1000; // next UTC day
+    assert.deepEqual(
+      ring.stats().map(({ name, usedToday, remaining, total }) => ({ name, usedToday, remaining, total })),
+      [
+        { name: "airtable", usedToday: 0, remaining: 3, total: 3 },
+        { name: "retool", usedToday: 0, remaining: null, total: 5 },
+      ]
+    );
+  });
+
+  test("is disabled without keys", () => {
+    assert.equal(createKeyring({ keys: [] }).enabled, false);
+  });
+
+  const dir = path.join(os.tmpdir(), `pageshot-usage-test-${process.pid}`);
+  after(() => fs.rm(dir, { recursive: true, force: true }));
+
+  test("keeps counters in API_USAGE_FILE across restarts", async () => {
+    await fs.mkdir(dir, { recursive: true });
+    const usageFile = path.join(dir, "usage.json");
+    const now = () => Date.parse("2026-10-19T12:00:00Z");
+    const first = createKeyring({ keys: keys(`airtable:${KEY_A}:10`), usageFile, now });
+    first.charge(first.identify(KEY_A), 4);
+    first.charge(first.identify(KEY_A), 1);
+    await first.flush();
+
+    const second = createKeyring({ keys: keys(`airtable:${KEY_A}:10`), usageFile, now });
+    assert.equal(second.usage(second.identify(KEY_A)).usedToday, 5);
+    assert.equal(JSON.stringify(await fs.readFile(usageFile, "utf8")).includes(KEY_A), false);
+  });
+
+  test("reports failed usage writes through onError", async () => {
+    const errors = [];
+    const usageFile = path.join(dir, "missing", "usage.json");
+    const ring = createKeyring({ keys: keys(`airtable:${KEY_A}`), usageFile, onError: (msg, fields) => errors.push([msg, fields]) });
+    ring.charge(ring.identify(KEY_A));
+    await ring.flush();
+    assert.equal(errors.length, 1);
+    assert.equal(errors[0][0], "API usage not saved");
+    assert.equal(errors[0][1].error.code, "ENOENT");
+  });
+});
+
+describe("createAuth", () => {
+  const fakeRes = () => ({
+    headers: {},
+    statusCode: 200,
+    body: null,
+    set(k, v) { this.headers[k] = v; return this; },
+  });
+  const onReject = (res, err) => {
+    res.statusCode = err.status;
+    res.body = err.code;
+  };
+  const ring = createKeyring({ keys: keys(`airtable:${KEY_A}:1`) });
+  const auth = createAuth(ring, { onReject });
+  const authenticate = auth.authenticate((req) => req.path === "/");
+
+  const run = (mw, req) => {
+    const res = fakeRes();
+    let passed = false;
+    mw({ method: "GET", path: "/scrape", headers: {}, query: {}, ...req }, res, () => (passed = true));
+    return { res, passed };
+  };
+
+  test("rejects missing / unknown keys and lets open paths through", () => {
+    assert.equal(run(authenticate, {}).res.statusCode, 401);
+    assert.match(run(authenticate, {}).res.headers["WWW-Authenticate"], /^Bearer/);
+    assert.equal(run(authenticate, { query: { api_key: "x".repeat(24) } }).res.body, "UNAUTHORIZED");
+    assert.equal(run(authenticate, { path: "/" }).passed, true);
+    assert.equal(run(authenticate, { method: "OPTIONS" }).passed, true);
+  });
+
+  test("charges the authenticated key against its quota", () => {
+    const r = { method: "GET", path: "/scrape", headers: { "x-api-key": KEY_A }, query: {} };
+    let authed = false;
+    authenticate(r, fakeRes(), () => (authed = true));
+    assert.equal(authed, true);
+    assert.equal(r.apiKey.name, "airtable");
+
+    const first = fakeRes();
+    assert.equal(auth.charge(r, first), true);
+    assert.deepEqual(first.headers, { "X-Quota-Limit": "1", "X-Quota-Remaining": "0" });
+    const second = fakeRes();
+    assert.equal(auth.charge(r, second), false);
+    assert.equal(second.statusCode, 429);
+    assert.equal(second.body, "QUOTA_EXCEEDED");
+  });
+
+  test("passes everything through without keys", () => {
+    const open = createAuth(createKeyring({ keys: [] }), { onReject });
+    assert.equal(run(open.authenticate(), {}).passed, true);
+    assert.equal(open.charge({}, fakeRes(), 5), true);
+  });
+});
+
+describe("CORS options", () => {
+  test("defaults to Airtable origins and GET/POST", () => {
+    const opts = corsOptions({});
+    assert.deepEqual(opts.methods, ["GET", "POST"]);
+    const [exact, blocks] = opts.origin;
+    assert.equal(exact, "https://airtable.com");
+    assert.ok(blocks.test("https://abc123.airtableblocks.com"));
+    assert.ok(blocks.test("https://a.b.airtableblocks.com"));
+    assert.ok(!blocks.test("https://airtableblocks.com.evil.io"));
+    assert.ok(!blocks.test("http://abc.airtableblocks.com"));
+  });
+
+  test("reads origins and methods from configuration", () => {
+    const opts = corsOptions({ origins: "https://retool.internal/, http://localhost:3000", methods: "get, post, delete" });
+    assert.deepEqual(opts.origin, ["https://retool.internal", "http://localhost:3000"]);
+    assert.deepEqual(opts.methods, ["GET", "POST", "DELETE"]);
+    assert.equal(parseCorsOrigins("*"), true);
+    assert.throws(() => parseCorsOrigins("retool.internal"), /Invalid CORS origin/);
+  });
+});
+
+describe("createAdminGuard", () => {
+  const fakeRes = () => ({ headers: {}, statusCode: 200, set(k, v) { this.headers[k] = v; return this; } });
+  const onReject = (res, err) => (res.statusCode = err.status);
+  const run = (guard, req) => {
+    const res = fakeRes();
+    let passed = false;
+    const r = { method: "GET", baseUrl: "/admin", path: "/keys", headers: {}, query: {}, ...req };
+    guard(r, res, () => (passed = true));
+    return { res, passed, req: r };
+  };
+  const guard = createAdminGuard({ keys: keys(`ops:${KEY_A}`), onReject });
+
+  test("lets admin keys through and turns tenant keys away", () => {
+    const ok = run(guard, { headers: { "x-api-key": KEY_A } });
+    assert.equal(ok.passed, true);
+    assert.equal(ok.req.adminKey, "ops");
+    assert.equal(run(guard, { headers: { "x-api-key": KEY_B } }).res.statusCode, 403);
+    assert.equal(run(guard, { method: "POST", path: "/proxies/reset", query: { api_key: KEY_B } }).res.statusCode, 403);
+    assert.equal(run(guard, {}).res.statusCode, 401);
+  });
+
+  test("hides the admin routes without admin keys", () => {
+    const off = createAdminGuard({ keys: [], onReject });
+    assert.equal(off.enabled, false);
+    assert.equal(run(off, { headers: { "x-api-key": KEY_A } }).res.statusCode, 404);
+  });
+});
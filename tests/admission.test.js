@@ -0,0 +1,149 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { EventEmitter } from "node:events";
+import { createAdmission, createHostPacer } from "../src/admission.js";
+import { sendError } from "../src/errors.js";
+
+const tick = () => new Promise((r) => setImmediate(r));
+
+describe("createAdmission", () => {
+  test("queues past the concurrency limit and rejects past the queue", async () => {
+    const admission = createAdmission({ concurrency: 1, queueSize: 1, queueTimeoutMs: 60000 });
+    const release = await admission.acquire();
+    let second = null;
+    const queued = admission.acquire().then((r) => (second = r));
+
+    await assert.rejects(admission.acquire(), (err) => {
+      assert.equal(err.code, "RATE_LIMITED");
+      assert.equal(err.status, 429);
+      assert.ok(err.retryAfterMs >= 1000);
+      return true;
+    });
+    assert.deepEqual(
+      (({ active, queued, admitted, rejected }) => ({ active, queued, admitted, rejected }))(admission.stats()),
+      { active: 1, queued: 1, admitted: 1, rejected: 1 }
+    );
+
+    release();
+    release(); // idempotent
+    await queued;
+    assert.equal(typeof second, "function");
+    assert.equal(admission.stats().active, 1);
+    second();
+    assert.equal(admission.stats().active, 0);
+  });
+
+  test("times out a queued request and drops aborted waiters", async () => {
+    const admission = createAdmission({ concurrency: 1, queueSize: 2, queueTimeoutMs: 20 });
+    const release = await admission.acquire();
+    await assert.rejects(admission.acquire(), /Waited 0s for a scrape slot/);
+
+    const ac = new AbortController();
+    const aborted = admission.acquire({ signal: ac.signal });
+    ac.abort();
+    await assert.rejects(aborted, /aborted while queued/);
+    assert.equal(admission.stats().queued, 0);
+    release();
+    assert.equal(admission.stats().active, 0);
+  });
+
+  test("middleware holds the slot until the response closes and answers 429 with Retry-After", async () => {
+    const admission = createAdmission({ concurrency: 1, queueSize: 0 });
+    const admit = admission.middleware(sendError);
+    const fakeRes = () =>
+      Object.assign(new EventEmitter(), {
+        headers: {},
+        statusCode: 200,
+        body: null,
+        set(k, v) { this.headers[k] = v; return this; },
+        status(c) { this.statusCode = c; return this; },
+        json(b) { this.body = b; return this; },
+      });
+
+    const first = fakeRes();
+    let nexted = 0;
+    admit({}, first, () => nexted++);
+    await tick();
+    assert.equal(nexted, 1);
+
+    const second = fakeRes();
+    admit({}, second, () => nexted++);
+    await tick();
+    assert.equal(nexted, 1);
+    assert.equal(second.statusCode, 429);
+    assert.equal(second.body.code, "RATE_LIMITED");
+    assert.equal(second.body.retryable, true);
+    assert.match(second.headers["Retry-After"], /^\d+$/);
+
+    first.emit("finish");
+    first.emit("close");
+    assert.equal(admission.stats().active, 0);
+  });
+});
+
+describe("createHostPacer", () => {
+  const setup = (opts = {}) => {
+    let t = 1000;
+    const slept = [];
+    const pacer = createHostPacer({
+      minGapMs: 1000,
+      gapJitterMs: 500,
+      backoffMs: 10000,
+      maxWaitMs: 5000,
+      jitter: (base, spread) => base + spread, // worst case
+      now: () => t,
+      sleep: async (ms) => {
+        slept.push(ms);
+      },
+      ...opts,
+    });
+    return { pacer, slept, advance: (ms) => (t += ms) };
+  };
+
+  test("spaces navigations to the same host, not across hosts", async () => {
+    const { pacer, slept, advance } = setup();
+    await pacer.wait("https://www.amazon.com/dp/B000000001");
+    await pacer.wait("https://www.amazon.com/dp/B000000002");
+    await pacer.wait("https://www.amazon.com/dp/B000000003");
+    await pacer.wait("https://www.amazon.co.uk/dp/B000000001");
+    assert.deepEqual(slept, [1500, 3000]);
+
+    advance(10000);
+    await pacer.wait("https://www.amazon.com/dp/B000000004");
+    assert.equal(slept.length, 2);
+    assert.equal(pacer.stats().find((h) => h.host === "www.amazon.com").navigations, 4);
+  });
+
+  test("backs off after a block, growing on repeats and resetting on success", async () => {
+    const { pacer, slept, advance } = setup();
+    const url = "https://www.amazon.com/dp/B000000001";
+    assert.equal(pacer.blocked(url), 10000);
+    await assert.rejects(pacer.wait(url), (err) => {
+      assert.equal(err.code, "RATE_LIMITED");
+      assert.equal(err.retryAfterMs, 10000);
+      return true;
+    });
+    assert.equal(pacer.stats()[0].backingOff, true);
+
+    // Within BLOCK_MAX_WAIT_MS the navigation just waits the window out
+    advance(6000);
+    await pacer.wait(url);
+    assert.deepEqual(slept, [4000]);
+
+    advance(10000);
+    assert.equal(pacer.blocked(url), 20000);
+    pacer.ok(url);
+    advance(30000);
+    assert.equal(pacer.blocked(url), 10000);
+    assert.equal(pacer.stats()[0].blocks, 3);
+  });
+
+  test("ignores URLs without a host", async () => {
+    const { pacer, slept } = setup();
+    await pacer.wait("about:blank");
+    await pacer.wait("not a url");
+    assert.equal(pacer.blocked("not a url"), 0);
+    assert.deepEqual(slept, []);
+    assert.deepEqual(pacer.stats(), []);
+  });
+});
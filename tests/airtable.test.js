@@ -0,0 +1,142 @@
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import http from "node:http";
+import { createAirtableClient, mapFields, writeResultToAirtable } from "../src/airtable.js";
+
+const result = {
+  ok: true,
+  pageType: "product",
+  ASIN: "B0TESTUS01",
+  title: "Acme Matcha",
+  brand: "Unspecified",
+  rankingMain: "1234",
+  mainImageUrl: "https://m.media-amazon.com/images/I/71AbCdEfGhL.jpg",
+  additionalImageUrls: ["https://m.media-amazon.com/images/I/81XyZ12345L.jpg"],
+  priceDetails: { amount: 12.99, currency: "USD" },
+  screenshot: "iVBORw0KGgo=",
+};
+
+const fieldMap = {
+  ASIN: "ASIN",
+  title: "Name",
+  brand: "Brand",
+  rankingMain: { field: "BSR", type: "number" },
+  "priceDetails.amount": { field: "Price", type: "number" },
+  mainImageUrl: { field: "Images", type: "attachment" },
+  screenshot: { field: "Screenshot", type: "attachment" },
+};
+
+describe("mapFields", () => {
+  test("maps paths, types and skips Unspecified", () => {
+    const { fields, uploads } = mapFields(result, fieldMap);
+    assert.deepEqual(fields, {
+      ASIN: "B0TESTUS01",
+      Name: "Acme Matcha",
+      BSR: 1234,
+      Price: 12.99,
+      Images: [{ url: "https://m.media-amazon.com/images/I/71AbCdEfGhL.jpg" }],
+    });
+    assert.equal(uploads.length, 1);
+    assert.equal(uploads[0].field, "Screenshot");
+  });
+});
+
+describe("Airtable client against a local mock", () => {
+  let server;
+  let baseUrl;
+  const seen = [];
+  let failNext = 0;
+  let dropNext = 0; // reset the connection
+  let hangNext = 0; // never answer
+
+  before(async () => {
+    server = http.createServer((req, res) => {
+      let body = "";
+      req.on("data", (c) => (body += c));
+      req.on("end", () => {
+        seen.push({ method: req.method, url: req.url, auth: req.headers.authorization, body: JSON.parse(body || "null") });
+        if (dropNext > 0) {
+          dropNext--;
+          return req.socket.destroy();
+        }
+        if (hangNext > 0) {
+          hangNext--;
+          return;
+        }
+        if (failNext > 0) {
+          failNext--;
+          res.writeHead(429, { "content-type": "application/json", "retry-after": "0" });
+          return res.end(JSON.stringify({ error: { type: "RATE_LIMIT_REACHED" } }));
+        }
+        res.writeHead(200, { "content-type": "application/json" });
+        if (req.url.endsWith("/uploadAttachment")) return res.end(JSON.stringify({ id: "recNEW" }));
+        if (req.url.includes("/recKNOWN")) return res.end(JSON.stringify({ id: "recKNOWN", fields: {} }));
+        res.end(JSON.stringify({ records: [{ id: "recNEW", fields: {} }], createdRecords: ["recNEW"] }));
+      });
+    });
+    await new Promise((r) => server.listen(0, "127.0.0.1", r));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => {
+    server.closeAllConnections();
+    server.close();
+  });
+
+  const client = () =>
+    createAirtableClient({ apiKey: "patTEST", apiUrl: baseUrl, contentUrl: baseUrl, minIntervalMs: 0 });
+
+  test("upserts by ASIN, retries 429 and uploads the screenshot", async () => {
+    seen.length = 0;
+    failNext = 1;
+    const out = await writeResultToAirtable(client(), result, {
+      baseId: "appTEST",
+      table: "Products",
+      fieldMap,
+    });
+    assert.deepEqual(out, { ok: true, recordId: "recNEW", created: true });
+    assert.equal(seen.length, 3);
+    assert.equal(seen[0].url, "/v0/appTEST/Products");
+    assert.equal(seen[1].auth, "Bearer patTEST");
+    assert.deepEqual(seen[1].body.performUpsert, { fieldsToMergeOn: ["ASIN"] });
+    assert.equal(seen[2].url, "/v0/appTEST/recNEW/Screenshot/uploadAttachment");
+    assert.equal(seen[2].body.file, "iVBORw0KGgo=");
+  });
+
+  test("retries dropped connections and timeouts", async () => {
+    seen.length = 0;
+    dropNext = 1;
+    hangNext = 1;
+    const c = createAirtableClient({ apiKey: "patTEST", apiUrl: baseUrl, minIntervalMs: 0, timeoutMs: 200 });
+    const out = await c.updateRecord("appTEST", "Products", "recKNOWN", { Name: "x" });
+    assert.equal(out.id, "recKNOWN");
+    assert.equal(seen.length, 3);
+
+    dropNext = 2;
+    const once = createAirtableClient({ apiKey: "patTEST", apiUrl: baseUrl, minIntervalMs: 0, maxRetries: 1 });
+    await assert.rejects(once.updateRecord("appTEST", "Products", "recKNOWN", {}), /Airtable PATCH failed: /);
+  });
+
+  test("updates a known record", async () => {
+    seen.length = 0;
+    const out = await writeResultToAirtable(client(), result, {
+      baseId: "appTEST",
+      table: "Products",
+      recordId: "recKNOWN",
+      fieldMap: { title: "Name" },
+    });
+    assert.deepEqual(out, { ok: true, recordId: "recKNOWN", created: false });
+    assert.equal(seen[0].method, "PATCH");
+    assert.equal(seen[0].url, "/v0/appTEST/Products/recKNOWN");
+  });
+
+  test("reports failures instead of throwing", async () => {
+    const out = await writeResultToAirtable(
+      createAirtableClient({ apiKey: "", apiUrl: baseUrl }),
+      result,
+      { baseId: "appTEST", table: "Products", fieldMap }
+    );
+    assert.equal(out.ok, false);
+    assert.match(out.error, /AIRTABLE_API_KEY/);
+  });
+});
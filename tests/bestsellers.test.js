@@ -0,0 +1,119 @@
+import { after, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { resolveMarketplace } from "../src/marketplaces.js";
+import {
+  listUrl,
+  parseListUrl,
+  readRankingPage,
+  shapeCategory,
+  shapeRankingItems,
+} from "../src/bestsellers.js";
+import { launchBrowser, openFixture, readFixture } from "./helpers/fixtures.js";
+
+const US = resolveMarketplace("US");
+
+describe("ranking list URLs", () => {
+  test("builds list URLs from a node id", () => {
+    assert.equal(listUrl({ node: "16318401" }, US), "https://www.amazon.com/gp/bestsellers/-/16318401");
+    assert.equal(
+      listUrl({ type: "new-releases", category: "grocery", node: "16318401" }, resolveMarketplace("UK"), 2),
+      "https://www.amazon.co.uk/gp/new-releases/grocery/16318401/?pg=2"
+    );
+    assert.equal(listUrl({}, US), "https://www.amazon.com/gp/bestsellers");
+  });
+
+  test("recognises the list URL shapes", () => {
+    assert.deepEqual(parseListUrl("https://www.amazon.com/gp/bestsellers/grocery/16318401/ref=zg_bs_nav_grocery_3"), {
+      type: "bestsellers",
+      category: "grocery",
+      node: "16318401",
+    });
+    assert.deepEqual(parseListUrl("https://www.amazon.com/Best-Sellers-Matcha-Tea/zgbs/grocery/16318401"), {
+      type: "bestsellers",
+      category: "grocery",
+      node: "16318401",
+    });
+    assert.deepEqual(parseListUrl("https://www.amazon.de/gp/movers-and-shakers/kitchen"), {
+      type: "movers-and-shakers",
+      category: "kitchen",
+      node: "",
+    });
+    assert.equal(parseListUrl("https://www.amazon.com/dp/B0TESTUS01"), null);
+    assert.equal(parseListUrl("https://www.amazon.com/s?k=bestsellers"), null);
+    assert.equal(parseListUrl("not a url"), null);
+  });
+});
+
+describe("shapeRankingItems", () => {
+  test("fills unrendered ranks from the recs list and sorts by rank", () => {
+    const items = shapeRankingItems({
+      items: [{ asin: "B0TESTBS02", rankText: "#2", percentChangeText: "1,250%" }],
+      recs: [
+        { asin: "B0TESTBS01", rankText: "1" },
+        { asin: "B0TESTBS02", rankText: "2" },
+        { asin: "bad", rankText: "3" },
+      ],
+    }, US);
+    assert.deepEqual(items.map((i) => [i.rank, i.ASIN]), [[1, "B0TESTBS01"], [2, "B0TESTBS02"]]);
+    assert.equal(items[1].percentChange, 1250);
+    assert.equal(items[0].title, null);
+    assert.equal("percentChange" in items[0], false);
+  });
+});
+
+describe("shapeCategory", () => {
+  test("falls back to the heading when the tree is missing", () => {
+    assert.deepEqual(shapeCategory({ heading: "Best Sellers in Kitchen & Dining", breadcrumb: [] }, { node: "284507" }), {
+      name: "Kitchen & Dining",
+      node: "284507",
+      breadcrumb: [],
+      path: null,
+    });
+  });
+});
+
+const { browser, reason } = await launchBrowser();
+
+describe("best sellers fixture", { skip: browser ? false : `Chromium unavailable: ${reason}` }, () => {
+  after(async () => {
+    await browser?.close();
+  });
+
+  test("reads ranks, items and the category breadcrumb", async () => {
+    const { html, expected } = readFixture("bestsellers-list");
+    const { context, page } = await openFixture(browser, html, { url: expected.url, marketplace: US });
+    try {
+      const raw = await readRankingPage(page);
+      assert.equal(raw.hasNext, true);
+
+      const items = shapeRankingItems(raw, US);
+      assert.deepEqual(items.map((i) => [i.rank, i.ASIN]), [
+        [1, "B0TESTBS01"],
+        [2, "B0TESTBS02"],
+        [3, "B0TESTBS03"],
+        [4, "B0TESTBS04"],
+      ]);
+      assert.deepEqual(items[0], {
+        rank: 1,
+        ASIN: "B0TESTBS01",
+        title: "Acme Ceremonial Grade Matcha Green Tea Powder, 30g",
+        url: "https://www.amazon.com/dp/B0TESTBS01",
+        price: { amount: 24.95, currency: "USD", text: "$24.95" },
+        rating: 4.6,
+        reviewCount: 8912,
+      });
+      assert.equal(items[2].title, "Matcha Latte Mix");
+      assert.equal(items[2].price, null);
+      assert.equal(items[3].title, null);
+
+      assert.deepEqual(shapeCategory(raw, { node: "16318401" }), {
+        name: "Matcha Tea",
+        node: "16318401",
+        breadcrumb: ["Grocery & Gourmet Food", "Beverages", "Tea", "Matcha Tea"],
+        path: "Grocery & Gourmet Food > Beverages > Tea > Matcha Tea",
+      });
+    } finally {
+      await context.close();
+    }
+  });
+});
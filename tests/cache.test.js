@@ -0,0 +1,85 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import {
+  cacheKey,
+  createFileStore,
+  createMemoryStore,
+  createResultCache,
+  createStore,
+} from "../src/cache.js";
+
+const result = { ok: true, pageType: "product", ASIN: "B0TESTUS01", title: "Acme Matcha" };
+
+describe("createResultCache", () => {
+  test("returns copies of fresh entries with their cachedAt", async () => {
+    let t = 1_000;
+    const cache = createResultCache({ store: createMemoryStore(), ttlMs: 500, now: () => t });
+    const key = cacheKey("US", "b0testus01");
+    assert.equal(key, "US:B0TESTUS01");
+
+    assert.equal(await cache.get(key), null);
+    assert.equal(await cache.set(key, result), 1_000);
+
+    const hit = await cache.get(key);
+    assert.deepEqual(hit, { result, cachedAt: 1_000 });
+    hit.result.title = "mutated";
+    assert.equal((await cache.get(key)).result.title, "Acme Matcha");
+
+    t = 1_600;
+    assert.equal(await cache.get(key), null);
+  });
+
+  test("misses when the variant differs", async () => {
+    const cache = createResultCache({ store: createMemoryStore(), ttlMs: 60_000 });
+    await cache.set("US:B0TESTUS01", result, "viewport|png");
+    assert.equal(await cache.get("US:B0TESTUS01", "full|jpeg"), null);
+    assert.ok(await cache.get("US:B0TESTUS01", "viewport|png"));
+  });
+
+  test("is disabled without a store or TTL", async () => {
+    for (const cache of [
+      createResultCache({ store: null }),
+      createResultCache({ store: createMemoryStore(), ttlMs: 0 }),
+    ]) {
+      assert.equal(cache.enabled, false);
+      assert.equal(await cache.set("US:B0TESTUS01", result), null);
+      assert.equal(await cache.get("US:B0TESTUS01"), null);
+    }
+  });
+});
+
+describe("stores", () => {
+  test("memory store evicts the oldest write", async () => {
+    const store = createMemoryStore({ maxEntries: 2 });
+    await store.set("a", 1);
+    await store.set("b", 2);
+    await store.set("a", 3);
+    await store.set("c", 4);
+    assert.equal(await store.get("b"), undefined);
+    assert.equal(await store.get("a"), 3);
+    assert.equal(await store.get("c"), 4);
+  });
+
+  test("file store survives a new instance", async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), "cache-test-"));
+    try {
+      await createFileStore({ dir }).set("UK:B0TESTUK01", { cachedAt: 5, result });
+      const store = createFileStore({ dir });
+      assert.deepEqual(await store.get("UK:B0TESTUK01"), { cachedAt: 5, result });
+      await store.delete("UK:B0TESTUK01");
+      assert.equal(await store.get("UK:B0TESTUK01"), undefined);
+    } finally {
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  });
+
+  test("createStore picks a backend by name", () => {
+    assert.equal(createStore("memory").name, "memory");
+    assert.equal(createStore("FILE").name, "file");
+    assert.equal(createStore("none"), null);
+    assert.throws(() => createStore("redis"), /Unknown RESULT_CACHE backend/);
+  });
+});
@@ -0,0 +1,70 @@
+import { after, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { createDebugSession, createStepLog, debugArtifactPath, debugReport, sweepDebugArtifacts } from "../src/debug.js";
+
+describe("createStepLog", () => {
+  test("records steps in order with the time since the run started", () => {
+    let t = 1000;
+    const log = createStepLog({ clock: () => t });
+    t += 12.4;
+    log.add("navigate", { url: "https://www.amazon.com/dp/B000000001" });
+    t += 300;
+    log.add("detour.detected", { stage: "navigation", error: undefined });
+    assert.deepEqual(log.toJSON(), [
+      { step: "navigate", atMs: 12, url: "https://www.amazon.com/dp/B000000001" },
+      { step: "detour.detected", atMs: 312, stage: "navigation" },
+    ]);
+  });
+});
+
+describe("debug sessions", () => {
+  const dir = path.join(os.tmpdir(), `pageshot-debug-test-${process.pid}`);
+  after(() => fs.rm(dir, { recursive: true, force: true }));
+
+  test("puts the trace and HAR in the owner's folder under the debug route", () => {
+    const s = createDebugSession({ id: "run1", owner: "retool", dir });
+    assert.equal(s.trace.path, path.join(dir, "key-retool", "run1.trace.zip"));
+    assert.equal(s.trace.url, "/debug/run1.trace.zip");
+    assert.equal(s.har.url, "/debug/run1.har");
+    assert.deepEqual(s.contextOptions, { recordHar: { path: path.join(dir, "key-retool", "run1.har"), content: "omit" } });
+    assert.equal(createDebugSession({ id: "run1", dir }).har.path, path.join(dir, "open", "run1.har"));
+  });
+
+  test("resolves downloads inside the caller's own folder only", () => {
+    assert.equal(debugArtifactPath("airtable", "run1.trace.zip", dir), path.join(dir, "key-airtable", "run1.trace.zip"));
+    assert.equal(debugArtifactPath("airtable", "../key-retool/run1.har", dir), null);
+    assert.equal(debugArtifactPath("airtable", "run1.json", dir), null);
+  });
+
+  test("links only the files that were written", async () => {
+    const s = createDebugSession({ id: "run2", dir });
+    await s.prepare();
+    s.steps.add("launch");
+    await fs.writeFile(s.trace.path, "PK");
+    await fs.writeFile(s.har.path, ""); // context never closed cleanly
+
+    const report = await debugReport(s, { baseUrl: "https://scraper.example", timings: { navigation: 900 } });
+    assert.equal(report.id, "run2");
+    assert.deepEqual(report.steps.map((x) => x.step), ["launch"]);
+    assert.deepEqual(report.timings, { navigation: 900 });
+    assert.equal(report.trace, "https://scraper.example/debug/run2.trace.zip");
+    assert.equal(report.har, null);
+
+    const bare = await debugReport(createDebugSession({ id: "run3", dir }));
+    assert.equal(bare.trace, null);
+    assert.equal("timings" in bare, false);
+  });
+
+  test("sweeps expired files in every owner's folder", async () => {
+    const s = createDebugSession({ id: "run4", owner: "retool", dir });
+    await s.prepare();
+    await fs.writeFile(s.trace.path, "PK");
+    const old = new Date(Date.now() - 60_000);
+    await fs.utimes(s.trace.path, old, old);
+    assert.equal(await sweepDebugArtifacts(1000, dir), 1);
+    await assert.rejects(fs.stat(s.trace.path));
+  });
+});
@@ -0,0 +1,62 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  buildDetails,
+  cleanLabel,
+  cleanValue,
+  deriveDetailFields,
+  detailValue,
+} from "../src/details.js";
+import { resolveMarketplace } from "../src/marketplaces.js";
+
+describe("cleanLabel / cleanValue", () => {
+  test("strip direction marks, colons and extra spaces", () => {
+    assert.equal(cleanLabel("Date First Available ‏ : ‎"), "Date First Available");
+    assert.equal(cleanLabel(" 商品の形状 ："), "商品の形状");
+    assert.equal(cleanValue(" : ‎ 4.5 x 3.2   x 1.6 inches "), "4.5 x 3.2 x 1.6 inches");
+  });
+});
+
+describe("buildDetails", () => {
+  test("merges sources with the first occurrence winning", () => {
+    assert.deepEqual(
+      buildDetails([
+        { label: "Brand", value: "Acme", source: "overview" },
+        { label: "Manufacturer ‏ : ‎", value: "Acme Tea Co.", source: "bullets" },
+        { label: "brand", value: "ACME INC", source: "table" },
+        { label: "Empty", value: "  ", source: "table" },
+      ]),
+      { Brand: "Acme", Manufacturer: "Acme Tea Co." }
+    );
+  });
+});
+
+describe("deriveDetailFields", () => {
+  test("reads the legacy fields with the marketplace's labels", () => {
+    const de = resolveMarketplace("DE");
+    const details = { Artikelform: "Pulver", "Im Angebot von Amazon.de seit": "3. März 2022" };
+    assert.equal(detailValue(details, de.labels.itemForm), "Pulver");
+    assert.deepEqual(deriveDetailFields(details, de.labels), {
+      itemForm: "Pulver",
+      dateFirstAvailable: "3. März 2022",
+      releaseDate: "",
+    });
+  });
+
+  test("finds the Brand row in every marketplace's language", () => {
+    const brand = (mp, details) => detailValue(details, resolveMarketplace(mp).labels.brand);
+    assert.equal(brand("US", { "Brand Name": "Acme", Manufacturer: "Acme Tea Co." }), "Acme");
+    assert.equal(brand("US", { "Compatible Brand": "Other", Brand: "Acme" }), "Acme");
+    assert.equal(brand("DE", { Marke: "Acme" }), "Acme");
+    assert.equal(brand("FR", { Marque: "Acme" }), "Acme");
+    assert.equal(brand("JP", { ブランド: "Acme" }), "Acme");
+  });
+
+  test("keeps an undated release value and drops an undated first-available one", () => {
+    const { labels } = resolveMarketplace("US");
+    assert.deepEqual(
+      deriveDetailFields({ "Date First Available": "soon", "Release date": "Spring 2020" }, labels),
+      { itemForm: "", dateFirstAvailable: "", releaseDate: "Spring 2020" }
+    );
+  });
+});
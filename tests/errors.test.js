@@ -0,0 +1,66 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { badRequest, classifyError, errorBody, scrapeError, sendError } from "../src/errors.js";
+
+const fakeRes = () => {
+  const res = { statusCode: 200, body: null };
+  res.status = (code) => ((res.statusCode = code), res);
+  res.json = (body) => ((res.body = body), res);
+  return res;
+};
+
+describe("scrapeError", () => {
+  test("attaches code, status and retryable", () => {
+    const err = scrapeError("BLOCKED_CAPTCHA", "Blocked by Amazon CAPTCHA/anti-bot");
+    assert.ok(err instanceof Error);
+    assert.deepEqual([err.code, err.status, err.retryable], ["BLOCKED_CAPTCHA", 503, true]);
+    assert.equal(scrapeError("OCR_FAILED", "bad key", { retryable: false }).retryable, false);
+    assert.equal(scrapeError("NOT_FOUND", "gone", { url: "https://x" }).url, "https://x");
+    assert.equal(scrapeError("NOPE", "x").code, "INTERNAL");
+    assert.equal(scrapeError("PAYLOAD_TOO_LARGE", "too big").status, 413);
+  });
+});
+
+describe("classifyError", () => {
+  test("maps Playwright failures onto codes", () => {
+    const timeout = new Error("page.goto: Timeout 60000ms exceeded.");
+    timeout.name = "TimeoutError";
+    assert.equal(classifyError(timeout).code, "NAV_TIMEOUT");
+    assert.equal(classifyError(new Error("page.goto: net::ERR_CONNECTION_RESET at https://x")).code, "NAV_TIMEOUT");
+    assert.equal(classifyError(new Error("Target page, context or browser has been closed")).code, "BROWSER_CRASH");
+    assert.equal(classifyError(new Error("Cannot navigate to invalid URL")).code, "INVALID_URL");
+    assert.equal(classifyError("boom").code, "INTERNAL");
+  });
+
+  test("treats a browser that won't launch as BROWSER_CRASH, first line only", () => {
+    const err = classifyError(new Error(
+      "browserType.launch: Executable doesn't exist at /root/.cache/ms-playwright/chromium-1181/chrome-linux/chrome\n" +
+      "╔════════════════════════════════╗\n║ Please run: npx playwright install ║\n╚════════════════════════════════╝"
+    ));
+    assert.deepEqual([err.code, err.status, err.retryable], ["BROWSER_CRASH", 503, true]);
+    assert.equal(err.message, "browserType.launch: Executable doesn't exist at /root/.cache/ms-playwright/chromium-1181/chrome-linux/chrome");
+    assert.equal(classifyError(new Error("page.goto: net::ERR_NAME_NOT_RESOLVED at https://x\nCall log:\n  - navigating")).message,
+      "page.goto: net::ERR_NAME_NOT_RESOLVED at https://x");
+  });
+
+  test("leaves typed errors alone", () => {
+    const err = scrapeError("NOT_FOUND", "Amazon page not found");
+    assert.equal(classifyError(err), err);
+  });
+});
+
+describe("error responses", () => {
+  test("uses the code's status", () => {
+    const res = sendError(fakeRes(), scrapeError("NAV_TIMEOUT", "Navigation failed"));
+    assert.equal(res.statusCode, 504);
+    assert.deepEqual(res.body, { ok: false, error: "Navigation failed", code: "NAV_TIMEOUT", retryable: true });
+    assert.deepEqual(errorBody(new Error("x")), { ok: false, error: "x", code: "INTERNAL", retryable: false });
+  });
+
+  test("badRequest defaults to INVALID_REQUEST and keeps extra fields", () => {
+    const res = badRequest(fakeRes(), "Invalid urls/asins", "INVALID_URL", { invalid: ["nope"] });
+    assert.equal(res.statusCode, 400);
+    assert.deepEqual(res.body, { ok: false, error: "Invalid urls/asins", code: "INVALID_URL", retryable: false, invalid: ["nope"] });
+    assert.equal(badRequest(fakeRes(), "Missing k param").body.code, "INVALID_REQUEST");
+  });
+});
@@ -0,0 +1,65 @@
+// Fixture regression tests: each tests/fixtures/<name>.html is loaded offline
+// and run through isProductPage() + scrapeProductData(); the result must match
+// <name>.json. After an intentional extractor change, regenerate with
+//   UPDATE_FIXTURES=1 npm test
+// and review the JSON diff.
+
+import { after, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { isProductPage, pageAsin, parseRatingTitle, scrapeProductData } from "../src/extract.js";
+import { resolveMarketplace } from "../src/marketplaces.js";
+import {
+  UPDATE,
+  launchBrowser,
+  listFixtures,
+  openFixture,
+  readFixture,
+  writeExpected,
+} from "./helpers/fixtures.js";
+
+const { browser, reason } = await launchBrowser();
+
+describe("DP fixtures", { skip: browser ? false : `Chromium unavailable: ${reason}` }, () => {
+  after(async () => {
+    await browser?.close();
+  });
+
+  for (const name of listFixtures()) {
+    test(name, async () => {
+      const { html, expected, expectedPath } = readFixture(name);
+      assert.ok(expected?.url, `${name}.json must at least define "url" and "marketplace"`);
+      const marketplace = resolveMarketplace(expected.marketplace);
+      assert.ok(marketplace, `unknown marketplace in ${name}.json`);
+
+      const { context, page } = await openFixture(browser, html, { url: expected.url, marketplace });
+      try {
+        const productPage = await isProductPage(page);
+        const actual = {
+          url: expected.url,
+          marketplace: marketplace.id,
+          productPage,
+          asin: await pageAsin(page),
+          data: productPage ? await scrapeProductData(page, marketplace) : null,
+        };
+
+        if (UPDATE) {
+          writeExpected(expectedPath, actual);
+          return;
+        }
+        assert.deepEqual(actual, expected);
+      } finally {
+        await context.close();
+      }
+    });
+  }
+});
+
+describe("parseRatingTitle", () => {
+  test("reads localized star titles", () => {
+    assert.equal(parseRatingTitle("4.6 out of 5 stars"), "4.6");
+    assert.equal(parseRatingTitle("4,4 von 5 Sternen"), "4.4");
+    assert.equal(parseRatingTitle("4,5 sur 5 étoiles"), "4.5");
+    assert.equal(parseRatingTitle("5つ星のうち4.4"), "4.4");
+    assert.equal(parseRatingTitle(""), "");
+  });
+});
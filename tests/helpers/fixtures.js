@@ -0,0 +1,61 @@
+// tests/helpers/fixtures.js
+// Loads saved DP pages into an offline headless page (page scripts off, all
+// network aborted) the same way POST /extract does.
+
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { chromium } from "playwright";
+import { LAUNCH_ARGS } from "../../src/browserPool.js";
+import { loadOfflinePage } from "../../src/extract.js";
+
+export const FIXTURES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), "..", "fixtures");
+
+// UPDATE_FIXTURES=1 rewrites the expected JSON instead of comparing against it
+export const UPDATE = process.env.UPDATE_FIXTURES === "1";
+
+export function listFixtures() {
+  return fs
+    .readdirSync(FIXTURES_DIR)
+    .filter((f) => f.endsWith(".html"))
+    .map((f) => f.replace(/\.html$/, ""))
+    .sort();
+}
+
+export function readFixture(name) {
+  const html = fs.readFileSync(path.join(FIXTURES_DIR, `${name}.html`), "utf8");
+  const expectedPath = path.join(FIXTURES_DIR, `${name}.json`);
+  const expected = fs.existsSync(expectedPath)
+    ? JSON.parse(fs.readFileSync(expectedPath, "utf8"))
+    : null;
+  return { html, expected, expectedPath };
+}
+
+export function writeExpected(expectedPath, value) {
+  fs.writeFileSync(expectedPath, JSON.stringify(value, null, 2) + "\n");
+}
+
+// Resolves to a browser, or to null (with the reason) when Chromium isn't installed
+export async function launchBrowser() {
+  try {
+    const browser = await chromium.launch({
+      headless: true,
+      args: LAUNCH_ARGS,
+      executablePath: process.env.CHROMIUM_EXECUTABLE_PATH || undefined,
+    });
+    return { browser, reason: "" };
+  } catch (err) {
+    return { browser: null, reason: (err?.message || String(err)).split("\n")[0] };
+  }
+}
+
+export async function openFixture(browser, html, { url, marketplace }) {
+  const context = await browser.newContext({
+    viewport: { width: 1280, height: 800 },
+    locale: marketplace.locale,
+    javaScriptEnabled: false,
+  });
+  const page = await context.newPage();
+  await loadOfflinePage(page, html, url);
+  return { context, page };
+}
@@ -0,0 +1,90 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { computeDeltas, createHistoryStore, toSnapshot } from "../src/history.js";
+
+const product = (over = {}) => ({
+  ok: true,
+  pageType: "product",
+  marketplace: "US",
+  ASIN: "B0TESTUS01",
+  price: "$12.99",
+  priceDetails: { amount: 12.99, currency: "USD", text: "$12.99" },
+  rankingMain: "1234",
+  mainCategory: "Grocery & Gourmet Food",
+  rating: "4.6",
+  reviewCount: "12345",
+  ...over,
+});
+
+describe("toSnapshot", () => {
+  test("keeps the tracked fields as numbers", () => {
+    const at = new Date("2025-01-02T03:04:05Z");
+    assert.deepEqual(toSnapshot(product(), at), {
+      at: "2025-01-02T03:04:05.000Z",
+      price: "$12.99",
+      priceAmount: 12.99,
+      currency: "USD",
+      rankingMain: 1234,
+      mainCategory: "Grocery & Gourmet Food",
+      rating: 4.6,
+      reviewCount: 12345,
+    });
+  });
+
+  test("nulls out Unspecified values", () => {
+    const s = toSnapshot(product({ price: "Unspecified", priceDetails: null, rankingMain: "Unspecified", rating: "" }));
+    assert.equal(s.price, null);
+    assert.equal(s.priceAmount, null);
+    assert.equal(s.rankingMain, null);
+    assert.equal(s.rating, null);
+  });
+});
+
+describe("computeDeltas", () => {
+  test("reports price, rank, rating and review changes", () => {
+    const prev = toSnapshot(product(), new Date("2025-01-01T00:00:00Z"));
+    const latest = toSnapshot(
+      product({ priceDetails: { amount: 10.39, currency: "USD" }, rankingMain: "1100", reviewCount: "12400" }),
+      new Date("2025-01-02T00:00:00Z")
+    );
+    const d = computeDeltas(prev, latest);
+    assert.equal(d.from, "2025-01-01T00:00:00.000Z");
+    assert.deepEqual(d.price, { from: 12.99, to: 10.39, change: -2.6, percent: -20.02 });
+    assert.deepEqual(d.rank, { from: 1234, to: 1100, change: -134 });
+    assert.deepEqual(d.rating, { from: 4.6, to: 4.6, change: 0 });
+    assert.deepEqual(d.reviewCount, { from: 12345, to: 12400, change: 55 });
+  });
+
+  test("needs two snapshots and skips price across currencies", () => {
+    const a = toSnapshot(product());
+    assert.equal(computeDeltas(undefined, a), null);
+    const b = toSnapshot(product({ priceDetails: { amount: 11, currency: "EUR" } }));
+    assert.equal(computeDeltas(a, b).price, null);
+  });
+});
+
+describe("createHistoryStore", () => {
+  test("appends product snapshots and reads them back in order", async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), "history-test-"));
+    try {
+      const history = createHistoryStore({ dir, enabled: true });
+      await history.record(product(), new Date("2025-01-01T00:00:00Z"));
+      await history.record(product({ rankingMain: "999" }), new Date("2025-01-02T00:00:00Z"));
+      assert.equal(await history.record({ ok: true, pageType: "nonProduct", marketplace: "US" }), null);
+
+      const series = await history.series("us", "b0testus01");
+      assert.deepEqual(series.map((s) => s.rankingMain), [1234, 999]);
+      assert.deepEqual(await history.series("UK", "B0TESTUS01"), []);
+    } finally {
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  });
+
+  test("records nothing when disabled", async () => {
+    const history = createHistoryStore({ dir: path.join(os.tmpdir(), "history-off"), enabled: false });
+    assert.equal(await history.record(product()), null);
+  });
+});
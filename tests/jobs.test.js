@@ -0,0 +1,28 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { createJobQueue } from "../src/jobs.js";
+
+const item = (input) => ({ input, url: `https://www.amazon.com/dp/${input}`, marketplace: { id: "US" } });
+
+describe("createJobQueue", () => {
+  test("runs items and hands the job back only to the key that submitted it", async () => {
+    const queue = createJobQueue({ run: async (it) => ({ ok: true, asin: it.input }), retryDelayMs: 0 });
+    const job = queue.submit([item("B000000001"), item("B000000002")], { owner: "airtable" });
+
+    assert.equal(queue.get(job.id, { owner: "airtable" }), job);
+    assert.equal(queue.get(job.id, { owner: "retool" }), null);
+    assert.equal(queue.get(job.id), null);
+
+    while (job.status !== "done") await new Promise((r) => setTimeout(r, 5));
+    const view = queue.describe(job);
+    assert.deepEqual(view.counts, { queued: 0, running: 0, done: 2, failed: 0 });
+    assert.equal("owner" in view, false);
+  });
+
+  test("keeps unowned jobs readable without a key", () => {
+    const queue = createJobQueue({ run: () => new Promise(() => {}), ttlMs: 0 });
+    const job = queue.submit([item("B000000003")]);
+    assert.equal(queue.get(job.id), job);
+    assert.equal(queue.get(job.id, { owner: "airtable" }), null);
+  });
+});
@@ -0,0 +1,147 @@
+import { after, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { resolveMarketplace } from "../src/marketplaces.js";
+import {
+  applyDeliveryLocation,
+  createSessionStore,
+  parseLocationOptions,
+  readDeliveryLocation,
+  sessionKey,
+  shapeDeliveryLocation,
+} from "../src/location.js";
+import { launchBrowser } from "./helpers/fixtures.js";
+
+const US = resolveMarketplace("US");
+const UK = resolveMarketplace("UK");
+const JP = resolveMarketplace("JP");
+
+describe("parseLocationOptions", () => {
+  test("validates zip per marketplace", () => {
+    assert.deepEqual(parseLocationOptions({}, US), { location: null });
+    assert.deepEqual(parseLocationOptions({ zip: "10001" }, US), { location: { zip: "10001", country: "US" } });
+    assert.deepEqual(parseLocationOptions({ zip: "sw1a 1aa" }, UK), { location: { zip: "SW1A 1AA", country: "GB" } });
+    assert.deepEqual(parseLocationOptions({ zip: "100-0001" }, JP).location.zip, "100-0001");
+    assert.match(parseLocationOptions({ zip: "ABC" }, US).error, /not a valid US postal code/);
+  });
+
+  test("country alone, or zip with the home country", () => {
+    assert.deepEqual(parseLocationOptions({ country: "gb" }, US), { location: { zip: null, country: "GB" } });
+    assert.deepEqual(parseLocationOptions({ zip: "10001", country: "US" }, US).location.zip, "10001");
+    assert.match(parseLocationOptions({ zip: "10001", country: "GB" }, US).error, /not both/);
+    assert.match(parseLocationOptions({ country: "GBR" }, US).error, /two-letter/);
+  });
+
+  test("session keys are file-name safe", () => {
+    assert.equal(sessionKey(US, { zip: "10001", country: "US" }), "US-zip-10001");
+    assert.equal(sessionKey(UK, { zip: "SW1A 1AA", country: "GB" }), "UK-zip-SW1A1AA");
+    assert.equal(sessionKey(US, { zip: null, country: "GB" }), "US-country-GB");
+  });
+});
+
+describe("shapeDeliveryLocation", () => {
+  test("reads the postal code and compares it with the request", () => {
+    const requested = { zip: "10001", country: "US" };
+    assert.deepEqual(shapeDeliveryLocation("New York 10001", US, requested), {
+      text: "New York 10001",
+      zip: "10001",
+      country: "US",
+      requested,
+      matches: true,
+    });
+    assert.equal(shapeDeliveryLocation("Columbus 43215", US, requested).matches, false);
+    assert.equal(shapeDeliveryLocation("London SW1A 1AA", UK, { zip: "SW1A 1AA", country: "GB" }).zip, "SW1A 1AA");
+    assert.equal(shapeDeliveryLocation("", US, requested).matches, null);
+  });
+
+  test("matches countries by name", () => {
+    const shown = shapeDeliveryLocation("United Kingdom", US, { zip: null, country: "GB" });
+    assert.deepEqual([shown.country, shown.matches], ["GB", true]);
+    assert.equal(shapeDeliveryLocation("Update location", US).country, null);
+  });
+});
+
+describe("createSessionStore", () => {
+  test("saves, expires and drops storage state", async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), "sessions-test-"));
+    let t = 0;
+    const store = createSessionStore({ dir, ttlMs: 1000, enabled: true, now: () => t });
+    try {
+      const state = { cookies: [{ name: "session-id", value: "1" }], origins: [] };
+      assert.equal(await store.load("US-zip-10001"), null);
+      await store.save("US-zip-10001", state);
+      assert.deepEqual(await store.load("US-zip-10001"), state);
+      t = 1001;
+      assert.equal(await store.load("US-zip-10001"), null);
+      t = 0;
+      await store.drop("US-zip-10001");
+      assert.equal(await store.load("US-zip-10001"), null);
+      const off = createSessionStore({ dir, enabled: false });
+      await off.save("US-zip-10001", state);
+      assert.equal(await off.load("US-zip-10001"), null);
+    } finally {
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+// Nav bar + GLUX popover stand-in: apply updates the "Deliver to" line, Done navigates (hash)
+const WIDGET_HTML = `<!doctype html><html><body>
+<div id="nav-global-location-slot">
+  <a id="nav-global-location-popover-link" href="#" onclick="document.getElementById('glux').hidden=false;return false;">
+    <span id="glow-ingress-line1">Deliver to</span><span id="glow-ingress-line2">Columbus 43215&#8204;</span>
+  </a>
+</div>
+<div id="glux" hidden>
+  <input id="GLUXZipUpdateInput" maxlength="5">
+  <span id="GLUXZipUpdate"><input type="submit" onclick="
+    const z = document.getElementById('GLUXZipUpdateInput').value;
+    if (!/^\\d{5}$/.test(z)) { document.getElementById('GLUXZipError').hidden = false; return; }
+    document.getElementById('glow-ingress-line2').textContent = 'New York ' + z;
+    document.getElementById('done').hidden = false;"></span>
+  <div id="GLUXZipError" hidden>Please enter a valid US zip code</div>
+  <div class="a-popover-footer" id="done" hidden><span class="a-button-primary"><input id="GLUXConfirmClose" type="submit" onclick="location.hash='updated'"></span></div>
+</div>
+</body></html>`;
+
+const { browser, reason } = await launchBrowser();
+
+describe("location widget", { skip: browser ? false : `Chromium unavailable: ${reason}` }, () => {
+  after(async () => {
+    await browser?.close();
+  });
+
+  const open = async () => {
+    const context = await browser.newContext({ locale: "en-US" });
+    const page = await context.newPage();
+    await page.setContent(WIDGET_HTML);
+    return { context, page };
+  };
+
+  test("sets a zip through the popover", async () => {
+    const { context, page } = await open();
+    try {
+      assert.equal(await readDeliveryLocation(page), "Columbus 43215");
+      await applyDeliveryLocation(page, { zip: "10001", country: "US" }, { timeout: 2000 });
+      const shown = shapeDeliveryLocation(await readDeliveryLocation(page), US, { zip: "10001", country: "US" });
+      assert.deepEqual([shown.zip, shown.matches], ["10001", true]);
+    } finally {
+      await context.close();
+    }
+  });
+
+  test("surfaces Amazon's zip rejection", async () => {
+    const { context, page } = await open();
+    try {
+      await assert.rejects(applyDeliveryLocation(page, { zip: "1234", country: "US" }, { timeout: 2000 }), (err) => {
+        assert.equal(err.code, "INVALID_REQUEST");
+        assert.match(err.message, /valid US zip code/);
+        return true;
+      });
+    } finally {
+      await context.close();
+    }
+  });
+});
@@ -0,0 +1,115 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { EventEmitter } from "node:events";
+import { createLogger, createTimings, requestId, requestLogger } from "../src/logger.js";
+
+const capture = (opts = {}) => {
+  const lines = [];
+  const logger = createLogger({
+    write: (line, lvl) => lines.push({ lvl, ...JSON.parse(line) }),
+    now: () => new Date("2026-10-19T12:00:00Z"),
+    ...opts,
+  });
+  return { logger, lines };
+};
+
+describe("createLogger", () => {
+  test("writes one JSON object per line and filters by level", () => {
+    const { logger, lines } = capture({ level: "info" });
+    logger.debug("hidden");
+    logger.info("listening", { port: 8080, skipped: undefined });
+    logger.error("failed", { err: Object.assign(new Error("boom"), { code: "NAV_TIMEOUT" }) });
+    assert.deepEqual(lines, [
+      { lvl: "info", time: "2026-10-19T12:00:00.000Z", level: "info", msg: "listening", port: 8080 },
+      { lvl: "error", time: "2026-10-19T12:00:00.000Z", level: "error", msg: "failed", err: { message: "boom", code: "NAV_TIMEOUT" } },
+    ]);
+  });
+
+  test("child loggers carry their fields", () => {
+    const { logger, lines } = capture();
+    logger.child({ jobId: "j1" }).warn("retry");
+    assert.equal(lines[0].jobId, "j1");
+    assert.equal(lines[0].level, "warn");
+  });
+});
+
+describe("createTimings", () => {
+  test("accumulates repeated phases and reports each measurement", async () => {
+    let t = 0;
+    const seen = [];
+    const timings = createTimings({ clock: () => t, onPhase: (phase, ms) => seen.push([phase, ms]) });
+    assert.equal(await timings.time("navigation", async () => { t += 100.4; return "a"; }), "a");
+    await timings.time("navigation", async () => { t += 50; });
+    await assert.rejects(timings.time("dom", async () => { t += 7; throw new Error("x"); }));
+    timings.add("ocr", 12.6);
+    assert.deepEqual(timings.toJSON(), { navigation: 150, dom: 7, ocr: 13 });
+    assert.deepEqual(seen.map(([p]) => p), ["navigation", "navigation", "dom", "ocr"]);
+  });
+});
+
+describe("requestLogger", () => {
+  const fakeRes = () =>
+    Object.assign(new EventEmitter(), {
+      headers: {},
+      locals: {},
+      statusCode: 200,
+      writableFinished: false,
+      set(k, v) { this.headers[k] = v; return this; },
+    });
+  const fakeReq = (extra = {}) => ({
+    method: "GET",
+    path: "/scrape",
+    baseUrl: "",
+    query: { url: "https://www.amazon.com/dp/B000000001", api_key: "secret" },
+    get: (h) => extra.headers?.[h],
+    ...extra,
+  });
+
+  test("tags the request and logs one line with timings and the error code", async () => {
+    const { logger, lines } = capture();
+    const finished = [];
+    const mw = requestLogger({ logger, onFinish: (r) => finished.push(r) });
+    const req = fakeReq({ headers: { "x-request-id": "abc-123" } });
+    const res = fakeRes();
+    mw(req, res, () => {});
+    assert.equal(req.id, "abc-123");
+    assert.equal(res.headers["X-Request-Id"], "abc-123");
+
+    await req.timings.time("navigation", async () => {});
+    req.route = { path: "/scrape" };
+    req.apiKey = { name: "airtable" };
+    res.statusCode = 504;
+    res.locals.errorCode = "NAV_TIMEOUT";
+    res.writableFinished = true;
+    res.emit("finish");
+    res.emit("close");
+
+    assert.equal(lines.length, 1);
+    const [line] = lines;
+    assert.equal(line.level, "error");
+    assert.equal(line.msg, "request");
+    assert.equal(line.route, "/scrape");
+    assert.equal(line.status, 504);
+    assert.equal(line.code, "NAV_TIMEOUT");
+    assert.equal(line.apiKey, "airtable");
+    assert.equal(line.query.api_key, "[redacted]");
+    assert.deepEqual(Object.keys(line.timings), ["navigation"]);
+    assert.equal(finished[0].requestId, "abc-123");
+  });
+
+  test("logs a client disconnect as 499", () => {
+    const { logger, lines } = capture();
+    const res = fakeRes();
+    requestLogger({ logger })(fakeReq(), res, () => {});
+    res.emit("close");
+    assert.equal(lines[0].status, 499);
+    assert.equal(lines[0].level, "warn");
+    assert.equal(lines[0].timings, undefined);
+  });
+
+  test("replaces unusable request ids", () => {
+    assert.equal(requestId("ok-id_1"), "ok-id_1");
+    assert.match(requestId("has spaces"), /^[0-9a-f-]{36}$/);
+    assert.match(requestId(""), /^[0-9a-f-]{36}$/);
+  });
+});
@@ -0,0 +1,75 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { createRegistry, createScrapeMetrics } from "../src/metrics.js";
+
+describe("createRegistry", () => {
+  test("renders counters with escaped labels", () => {
+    const registry = createRegistry({ prefix: "t_" });
+    const c = registry.counter("requests_total", "Requests", ["route", "status"]);
+    c.inc({ route: "/scrape", status: 200 });
+    c.inc({ route: "/scrape", status: 200 }, 2);
+    c.inc({ route: 'we"ird\\', status: 500 });
+    assert.equal(c.value({ route: "/scrape" }), 3);
+    assert.equal(c.value(), 4);
+    assert.equal(
+      registry.render(),
+      [
+        "# HELP t_requests_total Requests",
+        "# TYPE t_requests_total counter",
+        't_requests_total{route="/scrape",status="200"} 3',
+        't_requests_total{route="we\\"ird\\\\",status="500"} 1',
+        "",
+      ].join("\n")
+    );
+  });
+
+  test("renders cumulative histogram buckets", () => {
+    const registry = createRegistry();
+    const h = registry.histogram("latency_seconds", "Latency", ["phase"], [0.5, 1]);
+    h.observe({ phase: "dom" }, 0.2);
+    h.observe({ phase: "dom" }, 0.7);
+    h.observe({ phase: "dom" }, 3);
+    const lines = registry.render().split("\n");
+    assert.deepEqual(lines.slice(2, 7), [
+      'latency_seconds_bucket{phase="dom",le="0.5"} 1',
+      'latency_seconds_bucket{phase="dom",le="1"} 2',
+      'latency_seconds_bucket{phase="dom",le="+Inf"} 3',
+      'latency_seconds_sum{phase="dom"} 3.9',
+      'latency_seconds_count{phase="dom"} 3',
+    ]);
+  });
+
+  test("samples gauges at render time and skips empty ones", () => {
+    const registry = createRegistry();
+    let active = 1;
+    registry.gauge("active", "Active", () => active);
+    registry.gauge("off", "Off", () => null);
+    registry.gauge("by_host", "Per host", () => [{ labels: { host: "a" }, value: 2 }]);
+    registry.gauge("broken", "Throws", () => { throw new Error("x"); });
+    active = 3;
+    const text = registry.render();
+    assert.match(text, /^active 3$/m);
+    assert.match(text, /^by_host\{host="a"\} 2$/m);
+    assert.doesNotMatch(text, /^off /m);
+    assert.match(text, /# TYPE broken gauge\n$/);
+  });
+
+  test("rejects duplicate names", () => {
+    const registry = createRegistry();
+    registry.counter("x", "X");
+    assert.throws(() => registry.gauge("x", "X", () => 1), /already registered/);
+  });
+});
+
+describe("createScrapeMetrics", () => {
+  test("registers the scraper's metrics under one prefix", () => {
+    const m = createScrapeMetrics();
+    m.navigations.inc({ outcome: "ok" });
+    m.navigations.inc({ outcome: "blocked_captcha" });
+    m.ocrDuration.observe({ provider: "gemini" }, 1.2);
+    const text = m.registry.render();
+    assert.match(text, /^pageshot_navigations_total\{outcome="blocked_captcha"\} 1$/m);
+    assert.match(text, /^pageshot_ocr_duration_seconds_count\{provider="gemini"\} 1$/m);
+    assert.match(text, /# TYPE pageshot_phase_duration_seconds histogram/);
+  });
+});
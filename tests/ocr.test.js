@@ -0,0 +1,24 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createNoneProvider, createOcrProvider, parseOcrJson } from "../src/ocr.js";
+
+test("parseOcrJson strips code fences", () => {
+  assert.deepEqual(parseOcrJson('```json\n{"brand":" Acme ","price":"$12.99"}\n```'), {
+    brand: "Acme",
+    price: "$12.99",
+  });
+});
+
+test("parseOcrJson falls back to Unspecified", () => {
+  assert.deepEqual(parseOcrJson("I can't read that"), { brand: "Unspecified", price: "Unspecified" });
+  assert.deepEqual(parseOcrJson('{"brand":null,"price":12.99}'), {
+    brand: "Unspecified",
+    price: "Unspecified",
+  });
+});
+
+test("none provider skips OCR", async () => {
+  assert.equal(await createNoneProvider().extract("AAAA"), null);
+  assert.equal(createOcrProvider("none").name, "none");
+  assert.throws(() => createOcrProvider("tesseract"), /Unknown OCR_PROVIDER/);
+});
@@ -0,0 +1,78 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { buildOffer, fulfillmentType, parseAvailability } from "../src/offers.js";
+import { resolveMarketplace } from "../src/marketplaces.js";
+
+const labels = (id) => resolveMarketplace(id).labels;
+
+describe("parseAvailability", () => {
+  test("classifies English availability copy", () => {
+    assert.equal(parseAvailability("In Stock").status, "inStock");
+    assert.deepEqual(parseAvailability("Only 2 left in stock - order soon."), {
+      status: "limitedStock",
+      inStock: true,
+      text: "Only 2 left in stock - order soon.",
+      stockLeft: 2,
+    });
+    assert.equal(parseAvailability("Temporarily out of stock. We are working hard to be back in stock.").status, "unavailable");
+    assert.equal(parseAvailability("This item will be released on May 1. Pre-order now.").status, "preorder");
+    assert.deepEqual(parseAvailability(""), { status: "unknown", inStock: null, text: null, stockLeft: null });
+  });
+
+  test("uses the marketplace's labels", () => {
+    assert.equal(parseAvailability("Derzeit nicht verfügbar.", labels("DE")).status, "unavailable");
+    assert.equal(parseAvailability("Nur noch 3 auf Lager", labels("DE")).stockLeft, 3);
+    assert.equal(parseAvailability("En stock", labels("FR")).status, "inStock");
+    assert.equal(parseAvailability("残り1点 ご注文はお早めに", labels("JP")).stockLeft, 1);
+  });
+});
+
+describe("fulfillmentType", () => {
+  test("tells Amazon retail, FBA and merchant-fulfilled apart", () => {
+    assert.equal(fulfillmentType("Amazon.com", "Amazon.com"), "AMAZON");
+    assert.equal(fulfillmentType("Amazon", "Acme Tea Co."), "FBA");
+    assert.equal(fulfillmentType("Acme Tea Co.", "Acme Tea Co."), "MFN");
+    assert.equal(fulfillmentType("", ""), null);
+  });
+});
+
+describe("buildOffer", () => {
+  test("falls back to the #merchant-info sentence", () => {
+    const { buyBox } = buildOffer({
+      buyBoxPresent: true,
+      merchantInfoText: "Sold by Acme Tea Co. and Fulfilled by Amazon.",
+    });
+    assert.equal(buyBox.soldBy, "Acme Tea Co.");
+    assert.equal(buyBox.shipsFrom, "Amazon");
+    assert.equal(buyBox.fulfillment, "FBA");
+  });
+
+  test("reports no buy box when only 'See All Buying Options' is shown", () => {
+    const offer = buildOffer(
+      {
+        availabilityText: "Derzeit nicht verfügbar.",
+        buyBoxPresent: false,
+        seeAllBuyingOptions: true,
+        otherOffersText: "Neu (3) ab 12,99 €",
+        otherOffersPriceText: "12,99 €",
+      },
+      resolveMarketplace("DE")
+    );
+    assert.equal(offer.availability.inStock, false);
+    assert.equal(offer.buyBox.present, false);
+    assert.equal(offer.buyBox.fulfillment, null);
+    assert.deepEqual(offer.otherOffers, {
+      count: 3,
+      lowestPrice: { amount: 12.99, currency: "EUR", text: "12,99 €" },
+      text: "Neu (3) ab 12,99 €",
+    });
+  });
+
+  test("still returns an availability block without page data", () => {
+    assert.deepEqual(buildOffer(null), {
+      availability: { status: "unknown", inStock: null, text: null, stockLeft: null },
+      buyBox: null,
+      otherOffers: null,
+    });
+  });
+});
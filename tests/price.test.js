@@ -0,0 +1,116 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  buildPriceDetails,
+  normalizeGeminiPrice,
+  parseAmount,
+  parseCoupon,
+  parsePrice,
+  parseSavingsPercent,
+  parseUnitPrice,
+} from "../src/price.js";
+
+describe("normalizeGeminiPrice", () => {
+  test("keeps a clean price untouched", () => {
+    assert.equal(normalizeGeminiPrice("$12.99", "$12.99"), "$12.99");
+  });
+
+  test("borrows the currency from the DOM price", () => {
+    assert.equal(normalizeGeminiPrice("12.99", "$9.99"), "$ 12.99");
+    assert.equal(normalizeGeminiPrice("12.99", "USD 12.99"), "USD 12.99");
+  });
+
+  test("rebuilds superscript cents", () => {
+    assert.equal(normalizeGeminiPrice("$12⁹⁹", "$5.00"), "$ 12.99");
+  });
+
+  test("turns comma and space decimals into dots", () => {
+    assert.equal(normalizeGeminiPrice("12,99 €", ""), "12.99 €");
+    assert.equal(normalizeGeminiPrice("USD 12 99", ""), "USD 12.99");
+  });
+
+  test("empty input is Unspecified", () => {
+    assert.equal(normalizeGeminiPrice("", "$1.00"), "Unspecified");
+    assert.equal(normalizeGeminiPrice(undefined, ""), "Unspecified");
+  });
+});
+
+describe("parsePrice", () => {
+  const cases = [
+    ["$12.99", "USD", { amount: 12.99, currency: "USD" }],
+    ["$12.99", "CAD", { amount: 12.99, currency: "CAD" }],
+    ["CDN$ 24.99", "", { amount: 24.99, currency: "CAD" }],
+    ["USD 12.99", "", { amount: 12.99, currency: "USD" }],
+    ["£1,299.00", "GBP", { amount: 1299, currency: "GBP" }],
+    ["1.234,56 €", "EUR", { amount: 1234.56, currency: "EUR" }],
+    ["12,99 €", "EUR", { amount: 12.99, currency: "EUR" }],
+    ["1 234,56 €", "EUR", { amount: 1234.56, currency: "EUR" }],
+    ["￥1,280", "JPY", { amount: 1280, currency: "JPY" }],
+    ["¥ 1.280", "JPY", { amount: 1280, currency: "JPY" }],
+  ];
+  for (const [text, currency, expected] of cases) {
+    test(`${text} (${currency || "no default"})`, () => {
+      assert.deepEqual(parsePrice(text, { currency }), { ...expected, text });
+    });
+  }
+
+  test("returns null without a number", () => {
+    assert.equal(parsePrice("Unspecified", { currency: "USD" }), null);
+    assert.equal(parsePrice("", { currency: "USD" }), null);
+    assert.equal(parsePrice("Currently unavailable"), null);
+  });
+
+  test("parseAmount reads a lone dot group as thousands only for EUR/JPY", () => {
+    assert.equal(parseAmount("1.234", "USD"), 1.234);
+    assert.equal(parseAmount("1.234", "EUR"), 1234);
+  });
+});
+
+describe("price extras", () => {
+  test("unit price", () => {
+    assert.deepEqual(parseUnitPrice("($0.45 / Ounce)", { currency: "USD" }), {
+      amount: 0.45,
+      currency: "USD",
+      unit: "Ounce",
+      text: "($0.45 / Ounce)",
+    });
+    assert.deepEqual(parseUnitPrice("0,45 € / 100 g", { currency: "EUR" }), {
+      amount: 0.45,
+      currency: "EUR",
+      unit: "100 g",
+      text: "0,45 € / 100 g",
+    });
+    assert.equal(parseUnitPrice("$12.99"), null);
+  });
+
+  test("savings percent", () => {
+    assert.equal(parseSavingsPercent("-23%"), 23);
+    assert.equal(parseSavingsPercent("You Save: $5.00 (25%)"), 25);
+    assert.equal(parseSavingsPercent(""), null);
+  });
+
+  test("coupons", () => {
+    assert.deepEqual(parseCoupon("Apply $2.00 coupon", { currency: "USD" }), {
+      text: "Apply $2.00 coupon",
+      percent: null,
+      amount: 2,
+      currency: "USD",
+    });
+    assert.deepEqual(parseCoupon("Save 15% with coupon"), {
+      text: "Save 15% with coupon",
+      percent: 15,
+      amount: null,
+      currency: null,
+    });
+    assert.equal(parseCoupon(""), null);
+  });
+
+  test("buildPriceDetails derives savings from the list price", () => {
+    const details = buildPriceDetails({ text: "$15.00", listText: "$20.00" }, "USD");
+    assert.equal(details.amount, 15);
+    assert.equal(details.list.amount, 20);
+    assert.equal(details.savingsPercent, 25);
+    assert.equal(details.unitPrice, null);
+    assert.equal(details.coupon, null);
+  });
+});
@@ -0,0 +1,71 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { resolveMarketplace } from "../src/marketplaces.js";
+import {
+  browseNodeFromHref,
+  buildBestSellersRanks,
+  legacyRankFields,
+  parseRank,
+  parseRankCategory,
+} from "../src/ranks.js";
+
+const US = resolveMarketplace("US");
+const FR = resolveMarketplace("FR");
+const JP = resolveMarketplace("JP");
+
+describe("parseRank / parseRankCategory", () => {
+  test("reads localized rank text", () => {
+    assert.equal(parseRank("#1,234 in Grocery & Gourmet Food (See Top 100 in Grocery & Gourmet Food)"), 1234);
+    assert.equal(parseRank("Nr. 2.468 in Lebensmittel & Getränke"), 2468);
+    assert.equal(parseRank("1 234 en Epicerie", FR.labels.rankConnector), 1234);
+    assert.equal(parseRank("- 1,234位食品・飲料・お酒", JP.labels.rankConnector), 1234);
+    assert.equal(parseRank("See Top 100"), null);
+    assert.equal(parseRankCategory("#1,234 in Grocery & Gourmet Food (See Top 100 in Grocery & Gourmet Food)"), "Grocery & Gourmet Food");
+    assert.equal(parseRankCategory("- 5位抹茶 (の売れ筋ランキングを見る)", JP.labels.rankConnector), "抹茶");
+  });
+});
+
+describe("browseNodeFromHref", () => {
+  test("takes the numeric node after the category slug", () => {
+    assert.equal(browseNodeFromHref("/gp/bestsellers/grocery/16318401/ref=pd_zg_hrsr_grocery"), "16318401");
+    assert.equal(browseNodeFromHref("https://www.amazon.com/gp/bestsellers/grocery/16318401"), "16318401");
+    assert.equal(browseNodeFromHref("/gp/bestsellers/grocery/ref=pd_zg_ts_grocery"), null);
+    assert.equal(browseNodeFromHref(""), null);
+  });
+});
+
+describe("buildBestSellersRanks", () => {
+  const rows = [
+    { text: "#1,234 in Grocery & Gourmet Food (See Top 100 in Grocery & Gourmet Food)", href: "/gp/bestsellers/grocery/ref=pd_zg_ts_grocery", topLevel: true },
+    { text: "#5 in Matcha Tea", href: "/gp/bestsellers/grocery/16318401/ref=pd_zg_hrsr_grocery", topLevel: false },
+    { text: "#17 in Green Tea", href: "/gp/bestsellers/grocery/7255934011/ref=pd_zg_hrsr_grocery", topLevel: false },
+    { text: "", href: "", topLevel: false },
+  ];
+
+  test("keeps every listed category with numeric ranks", () => {
+    const ranks = buildBestSellersRanks(rows, US);
+    assert.equal(ranks.length, 3);
+    assert.deepEqual(ranks[2], {
+      rank: 17,
+      category: "Green Tea",
+      url: "https://www.amazon.com/gp/bestsellers/grocery/7255934011/ref=pd_zg_hrsr_grocery",
+      browseNodeId: "7255934011",
+      topLevel: false,
+    });
+  });
+
+  test("derives the legacy strings", () => {
+    assert.deepEqual(legacyRankFields(buildBestSellersRanks(rows, US)), {
+      rankingMain: "1234",
+      mainCategory: "Grocery & Gourmet Food",
+      rankingSecondary: "5",
+      secondaryCategory: "Matcha Tea",
+    });
+    assert.deepEqual(legacyRankFields([]), {
+      rankingMain: "Unspecified",
+      mainCategory: "Unspecified",
+      rankingSecondary: "Unspecified",
+      secondaryCategory: "Unspecified",
+    });
+  });
+});
@@ -0,0 +1,70 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  buildHistogram,
+  parseHelpfulVotes,
+  parseStars,
+  reviewsUrl,
+  shapeReview,
+} from "../src/reviews.js";
+import { resolveMarketplace } from "../src/marketplaces.js";
+
+describe("parseStars", () => {
+  test("reads English, German and Japanese star text", () => {
+    assert.equal(parseStars("4.0 out of 5 stars"), 4);
+    assert.equal(parseStars("4,5 von 5 Sternen"), 4.5);
+    assert.equal(parseStars("5つ星のうち3.0"), 3);
+    assert.equal(parseStars(""), null);
+  });
+});
+
+describe("parseHelpfulVotes", () => {
+  test("handles counts, 'one person' phrasing and blanks", () => {
+    assert.equal(parseHelpfulVotes("1,234 people found this helpful"), 1234);
+    assert.equal(parseHelpfulVotes("One person found this helpful"), 1);
+    assert.equal(parseHelpfulVotes("Eine Person fand diese Informationen hilfreich"), 1);
+    assert.equal(parseHelpfulVotes("12 personnes ont trouvé cela utile"), 12);
+    assert.equal(parseHelpfulVotes(""), 0);
+  });
+});
+
+describe("buildHistogram", () => {
+  test("maps rows to star buckets, falling back to row order", () => {
+    assert.deepEqual(
+      buildHistogram([
+        { label: "5 star", percentText: "70%" },
+        { label: "", percentText: "20 %" },
+        { label: "3 star", percentText: "5%" },
+      ]),
+      { 5: 70, 4: 20, 3: 5 }
+    );
+    assert.equal(buildHistogram([]), null);
+  });
+});
+
+describe("shapeReview", () => {
+  test("pulls the date out of the marketplace's 'Reviewed in' line", () => {
+    const r = shapeReview(
+      {
+        id: "R1",
+        title: "Gut",
+        starsText: "4,0 von 5 Sternen",
+        dateText: "Rezension aus Deutschland vom 3. März 2024",
+        verified: true,
+        helpfulText: "",
+      },
+      resolveMarketplace("DE")
+    );
+    assert.equal(r.date, "3. März 2024");
+    assert.equal(r.stars, 4);
+    assert.equal(r.helpfulVotes, 0);
+    assert.equal(r.author, null);
+  });
+});
+
+test("reviewsUrl points at the marketplace's review pages", () => {
+  assert.equal(
+    reviewsUrl("B0TESTUK01", resolveMarketplace("UK"), 3),
+    "https://www.amazon.co.uk/product-reviews/B0TESTUK01/?pageNumber=3&reviewerType=all_reviews"
+  );
+});
@@ -0,0 +1,72 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import path from "node:path";
+import {
+  DEFAULT_SCREENSHOT_OPTIONS,
+  SCREENSHOT_DIR,
+  parseScreenshotOptions,
+  storeScreenshot,
+  sweepScreenshots,
+} from "../src/screenshots.js";
+
+describe("parseScreenshotOptions", () => {
+  test("defaults to an inline 1280x800 viewport PNG that OCR can reuse", () => {
+    const { options } = parseScreenshotOptions({});
+    assert.equal(options.shot, DEFAULT_SCREENSHOT_OPTIONS.shot);
+    assert.equal(options.format, "png");
+    assert.equal(options.quality, undefined);
+    assert.equal(options.delivery, "inline");
+    assert.equal(options.mimeType, "image/png");
+    assert.equal(options.reusableForOcr, true);
+  });
+
+  test("accepts jpg/jpeg/webp with a default or explicit quality", () => {
+    assert.equal(parseScreenshotOptions({ format: "jpg" }).options.format, "jpeg");
+    assert.equal(parseScreenshotOptions({ format: "jpeg" }).options.quality, 80);
+    const { options } = parseScreenshotOptions({ format: "WEBP", quality: "55" });
+    assert.equal(options.format, "webp");
+    assert.equal(options.quality, 55);
+    assert.equal(options.mimeType, "image/webp");
+    assert.equal(options.reusableForOcr, false);
+  });
+
+  test("parses viewport strings and width/height", () => {
+    const a = parseScreenshotOptions({ viewport: "1440x900" }).options;
+    assert.deepEqual([a.width, a.height], [1440, 900]);
+    const b = parseScreenshotOptions({ width: "390" }).options;
+    assert.deepEqual([b.width, b.height], [390, 800]);
+    assert.equal(b.reusableForOcr, false);
+  });
+
+  test("accepts element shots, full page, none and url delivery", () => {
+    for (const shot of ["full", "buybox", "title", "gallery", "none"]) {
+      assert.equal(parseScreenshotOptions({ shot }).options.shot, shot);
+    }
+    assert.equal(parseScreenshotOptions({ delivery: "url" }).options.delivery, "url");
+  });
+
+  test("rejects bad values", () => {
+    assert.match(parseScreenshotOptions({ shot: "footer" }).error, /Invalid shot/);
+    assert.match(parseScreenshotOptions({ format: "gif" }).error, /Invalid format/);
+    assert.match(parseScreenshotOptions({ format: "jpeg", quality: "0" }).error, /1-100/);
+    assert.match(parseScreenshotOptions({ quality: "80" }).error, /jpeg and webp/);
+    assert.match(parseScreenshotOptions({ viewport: "big" }).error, /1280x800/);
+    assert.match(parseScreenshotOptions({ viewport: "100x100" }).error, /between/);
+    assert.match(parseScreenshotOptions({ delivery: "s3" }).error, /Invalid delivery/);
+  });
+});
+
+describe("stored screenshots", () => {
+  test("are written under SCREENSHOT_DIR and swept once expired", async () => {
+    const route = await storeScreenshot(Buffer.from("fake"), "jpeg");
+    assert.match(route, /^\/screenshots\/[0-9a-f-]{36}\.jpg$/);
+    const file = path.join(SCREENSHOT_DIR, path.basename(route));
+    assert.equal(await fs.readFile(file, "utf8"), "fake");
+
+    const old = new Date(Date.now() - 60_000);
+    await fs.utimes(file, old, old);
+    assert.ok((await sweepScreenshots(30_000)) >= 1);
+    await assert.rejects(fs.stat(file));
+  });
+});
@@ -0,0 +1,90 @@
+import { after, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { resolveMarketplace } from "../src/marketplaces.js";
+import {
+  parseCount,
+  readSearchPage,
+  searchKeyword,
+  searchUrl,
+  shapeSearchResults,
+} from "../src/search.js";
+import { launchBrowser, openFixture, readFixture } from "./helpers/fixtures.js";
+
+const US = resolveMarketplace("US");
+
+describe("search URLs", () => {
+  test("builds and recognises /s?k= URLs", () => {
+    assert.equal(searchUrl("matcha powder", US), "https://www.amazon.com/s?k=matcha+powder");
+    assert.equal(searchUrl("tee", resolveMarketplace("DE"), 2), "https://www.amazon.de/s?k=tee&page=2");
+    assert.equal(searchKeyword("https://www.amazon.com/s?k=matcha+powder&i=grocery"), "matcha powder");
+    assert.equal(searchKeyword("https://www.amazon.com/dp/B0TESTUS01"), "");
+  });
+});
+
+describe("parseCount", () => {
+  test("reads plain, grouped and abbreviated counts", () => {
+    assert.equal(parseCount("12,345"), 12345);
+    assert.equal(parseCount("(1.2K)"), 1200);
+    assert.equal(parseCount("3M"), 3000000);
+    assert.equal(parseCount("1.234 Mal bewertet"), 1234);
+    assert.equal(parseCount(""), null);
+  });
+});
+
+describe("shapeSearchResults", () => {
+  test("continues positions from earlier pages", () => {
+    const [a, b] = shapeSearchResults(
+      [
+        { asin: "B0TESTSP01", sponsored: true },
+        { asin: "B0TESTUS01", sponsored: false },
+      ],
+      { marketplace: US, pageNumber: 2, offset: 20, organicOffset: 16 }
+    );
+    assert.deepEqual([a.position, a.organicPosition, a.page], [21, null, 2]);
+    assert.deepEqual([b.position, b.organicPosition], [22, 17]);
+    assert.equal(b.url, "https://www.amazon.com/dp/B0TESTUS01");
+  });
+});
+
+const { browser, reason } = await launchBrowser();
+
+describe("search results fixture", { skip: browser ? false : `Chromium unavailable: ${reason}` }, () => {
+  after(async () => {
+    await browser?.close();
+  });
+
+  test("reads the ordered result list", async () => {
+    const { html, expected } = readFixture("search-results");
+    const { context, page } = await openFixture(browser, html, { url: expected.url, marketplace: US });
+    try {
+      const raw = await readSearchPage(page);
+      assert.equal(raw.hasNext, true);
+      assert.equal(raw.totalText, "1-48 of over 3,000 results for");
+
+      const results = shapeSearchResults(raw.results, { marketplace: US });
+      assert.deepEqual(results.map((r) => [r.ASIN, r.position, r.organicPosition, r.sponsored]), [
+        ["B0TESTSP01", 1, null, true],
+        ["B0TESTUS01", 2, 1, false],
+        ["B0TESTUS03", 3, 2, false],
+      ]);
+      assert.deepEqual(results[1], {
+        position: 2,
+        organicPosition: 1,
+        page: 1,
+        ASIN: "B0TESTUS01",
+        sponsored: false,
+        title: "Acme Organic Matcha Green Tea Powder",
+        url: "https://www.amazon.com/dp/B0TESTUS01",
+        price: { amount: 12.99, currency: "USD", text: "$12.99" },
+        rating: 4.6,
+        reviewCount: 12345,
+        badge: "Best Seller",
+      });
+      assert.equal(results[0].reviewCount, 1200);
+      assert.equal(results[2].badge, "Amazon's Choice");
+      assert.equal(results[2].rating, null);
+    } finally {
+      await context.close();
+    }
+  });
+});
@@ -0,0 +1,66 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { buildDpUrl, extractASINFromUrl, isDpUrl } from "../src/extract.js";
+import {
+  MARKETPLACES,
+  homeUrl,
+  marketplaceFromUrl,
+  resolveMarketplace,
+} from "../src/marketplaces.js";
+
+describe("extractASINFromUrl", () => {
+  const cases = [
+    ["https://www.amazon.com/dp/B0TESTUS01", "B0TESTUS01"],
+    ["https://www.amazon.com/Some-Slug/dp/b0testus01/ref=sr_1_1?keywords=x", "B0TESTUS01"],
+    ["https://www.amazon.co.uk/gp/product/B0TESTUK01?th=1", "B0TESTUK01"],
+    ["https://www.amazon.com/s?k=matcha", ""],
+    ["not a url /dp/B0TESTUS01", "B0TESTUS01"],
+    ["", ""],
+  ];
+  for (const [url, asin] of cases) {
+    test(url || "(empty)", () => {
+      assert.equal(extractASINFromUrl(url), asin);
+    });
+  }
+});
+
+describe("DP urls", () => {
+  test("isDpUrl", () => {
+    assert.equal(isDpUrl("https://www.amazon.com/dp/B0TESTUS01"), true);
+    assert.equal(isDpUrl("https://www.amazon.com/gp/cart/view.html"), false);
+  });
+
+  test("buildDpUrl follows the marketplace", () => {
+    assert.equal(buildDpUrl("B0TESTUS01"), "https://www.amazon.com/dp/B0TESTUS01");
+    assert.equal(buildDpUrl("B0TESTJP01", MARKETPLACES.JP), "https://www.amazon.co.jp/dp/B0TESTJP01");
+    assert.equal(buildDpUrl(""), "");
+  });
+
+  test("homeUrl", () => {
+    assert.equal(homeUrl(MARKETPLACES.DE), "https://www.amazon.de/ref=nav_logo");
+  });
+});
+
+describe("marketplaces", () => {
+  test("detects the storefront from the host", () => {
+    assert.equal(marketplaceFromUrl("https://www.amazon.co.uk/dp/B0TESTUK01"), MARKETPLACES.UK);
+    assert.equal(marketplaceFromUrl("https://smile.amazon.com/dp/B0TESTUS01"), MARKETPLACES.US);
+    assert.equal(marketplaceFromUrl("https://www.amazon.ca/dp/B0TESTCA01"), MARKETPLACES.CA);
+  });
+
+  test("null for non-Amazon hosts, undefined for unsupported storefronts", () => {
+    assert.equal(marketplaceFromUrl("https://a.co/d/abc"), null);
+    assert.equal(marketplaceFromUrl("garbage"), null);
+    assert.equal(marketplaceFromUrl("https://www.amazon.es/dp/B0TESTES01"), undefined);
+  });
+
+  test("resolves ids, TLDs, hosts and aliases", () => {
+    assert.equal(resolveMarketplace("uk"), MARKETPLACES.UK);
+    assert.equal(resolveMarketplace("gb"), MARKETPLACES.UK);
+    assert.equal(resolveMarketplace("co.jp"), MARKETPLACES.JP);
+    assert.equal(resolveMarketplace("www.amazon.fr"), MARKETPLACES.FR);
+    assert.equal(resolveMarketplace("amazon.de"), MARKETPLACES.DE);
+    assert.equal(resolveMarketplace("es"), null);
+    assert.equal(resolveMarketplace(""), null);
+  });
+});
@@ -0,0 +1,55 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { buildVariations } from "../src/variations.js";
+
+describe("buildVariations", () => {
+  test("is null without twister data or swatches", () => {
+    assert.equal(buildVariations(null), null);
+    assert.equal(buildVariations({ twister: {}, swatches: [] }), null);
+  });
+
+  test("falls back to dimensionValuesDisplayData and humanized names", () => {
+    const v = buildVariations({
+      twister: {
+        parentAsin: "b0parent00",
+        currentAsin: "B0CHILD001",
+        dimensions: ["number_of_items"],
+        dimensionValuesDisplayData: { B0CHILD001: ["1 Pack"], b0child002: ["3 Pack"] },
+      },
+      swatches: [],
+    });
+    assert.equal(v.parentAsin, "B0PARENT00");
+    assert.equal(v.dimensions[0].name, "Number Of Items");
+    assert.deepEqual(v.children, [
+      { asin: "B0CHILD001", values: { "Number Of Items": "1 Pack" }, selected: true, available: null, price: null },
+      { asin: "B0CHILD002", values: { "Number Of Items": "3 Pack" }, selected: false, available: null, price: null },
+    ]);
+  });
+
+  test("builds a single-dimension family from swatches alone", () => {
+    const v = buildVariations(
+      {
+        twister: null,
+        swatches: [
+          { dim: "size_name", value: "100 g", asin: "B0CHILD001", available: true, selected: true, priceText: "12,99 €" },
+          { dim: "size_name", value: "250 g", asin: "B0CHILD002", available: false, selected: false, priceText: "" },
+        ],
+      },
+      "EUR"
+    );
+    assert.equal(v.parentAsin, null);
+    assert.equal(v.currentAsin, "B0CHILD001");
+    assert.deepEqual(v.dimensions, [
+      {
+        key: "size_name",
+        name: "Size",
+        values: [
+          { value: "100 g", selected: true, available: true },
+          { value: "250 g", selected: false, available: false },
+        ],
+      },
+    ]);
+    assert.deepEqual(v.children[0].price, { amount: 12.99, currency: "EUR", text: "12,99 €" });
+    assert.equal(v.children[1].available, false);
+  });
+});